@@ -56,17 +56,16 @@ const commonBuildOptions = {
   logLevel: 'info'
 };
 
-await build({
-  ...commonBuildOptions,
-  entryPoints: [path.join(rootDir, 'src/content.js')],
-  outfile: path.join(rootDir, 'scripts/content.js')
-});
-
-await build({
-  ...commonBuildOptions,
-  entryPoints: [path.join(rootDir, 'src/background.js')],
-  outfile: path.join(rootDir, 'scripts/background.js')
-});
+// Each entry is bundled on its own; shared src/ modules are inlined into every bundle.
+const entries = ['content', 'background', 'options', 'import', 'audit', 'writeback'];
+
+for (const entry of entries) {
+  await build({
+    ...commonBuildOptions,
+    entryPoints: [path.join(rootDir, `src/${entry}.js`)],
+    outfile: path.join(rootDir, `scripts/${entry}.js`)
+  });
+}
 
 const manifestBasePath = path.join(rootDir, 'manifest.base.json');
 const manifestOutPath = path.join(rootDir, 'manifest.json');
@@ -18,6 +18,11 @@ const runtimePaths = [
   'styles.css',
   'scripts/content.js',
   'scripts/background.js',
+  'scripts/options.js',
+  'scripts/import.js',
+  'scripts/audit.js',
+  'scripts/writeback.js',
+  'pages',
   'icons'
 ];
 
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * ID Mapping Table Generator
+ *
+ * Rebuilds src/data/id-mapping.json from TMDB: every TMDB show ID already in the table (plus any given on
+ * the command line) is looked up through /tv/<id>/external_ids, and its TVDB/IMDb IDs are written back.
+ * The table version is bumped so installed copies pick the new table up on their next refresh.
+ *
+ * Usage:
+ *   TMDB_API_KEY=<key> npm run id-mapping:generate [-- <tmdbId> ...]
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const tablePath = path.resolve(__dirname, '../src/data/id-mapping.json');
+
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+
+async function fetchExternalIds(tmdbId, apiKey) {
+  const response = await fetch(`${TMDB_API_URL}/tv/${tmdbId}/external_ids?api_key=${encodeURIComponent(apiKey)}`, {
+    headers: { 'Accept': 'application/json' }
+  });
+  if (!response.ok) {
+    throw new Error(`TMDB ${tmdbId}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function main() {
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    console.error('Set TMDB_API_KEY to a TMDB API key.');
+    process.exit(1);
+  }
+
+  const current = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+  const tmdbIds = new Set([
+    ...Object.values(current.tvdb),
+    ...Object.values(current.imdb),
+    ...process.argv.slice(2).map((arg) => parseInt(arg, 10)).filter(Number.isInteger)
+  ]);
+
+  const table = { version: current.version + 1, generated: new Date().toISOString(), tvdb: {}, imdb: {} };
+
+  for (const tmdbId of [...tmdbIds].sort((a, b) => a - b)) {
+    const ids = await fetchExternalIds(tmdbId, apiKey);
+    if (Number.isInteger(ids.tvdb_id)) table.tvdb[ids.tvdb_id] = tmdbId;
+    if (typeof ids.imdb_id === 'string' && /^tt\d+$/.test(ids.imdb_id)) table.imdb[ids.imdb_id] = tmdbId;
+  }
+
+  fs.writeFileSync(tablePath, `${JSON.stringify(table, null, 2)}\n`);
+  console.log(`Wrote table v${table.version}: ${Object.keys(table.tvdb).length} TVDB, ${Object.keys(table.imdb).length} IMDb IDs.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
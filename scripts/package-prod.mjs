@@ -23,6 +23,11 @@ const zipCommand = [
   'styles.css',
   'scripts/background.js',
   'scripts/content.js',
+  'scripts/options.js',
+  'scripts/import.js',
+  'scripts/audit.js',
+  'scripts/writeback.js',
+  'pages',
   'icons',
   '-x "*.DS_Store"'
 ].join(' ');
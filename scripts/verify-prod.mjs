@@ -23,7 +23,11 @@ if ((manifest.host_permissions || []).includes(relayHostPermission)) {
 
 const contentBundle = await readText('scripts/content.js');
 const backgroundBundle = await readText('scripts/background.js');
-const combined = `${contentBundle}\n${backgroundBundle}`;
+const optionsBundle = await readText('scripts/options.js');
+const importBundle = await readText('scripts/import.js');
+const auditBundle = await readText('scripts/audit.js');
+const writebackBundle = await readText('scripts/writeback.js');
+const combined = [contentBundle, backgroundBundle, optionsBundle, importBundle, auditBundle, writebackBundle].join('\n');
 
 const forbiddenPatterns = [
   { label: 'relay localhost URL', regex: /127\.0\.0\.1:8765/ },
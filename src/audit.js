@@ -0,0 +1,143 @@
+// Serializd-Plex Library Audit Page
+// Lists every TV show on the current Plex server with its resolved TMDB ID and Serializd data,
+// flags shows that couldn't be matched (and why), and exports the list as CSV or JSON.
+// Serializd data comes from the show cache when fresh; misses are fetched and cached.
+
+import { loadSettings } from './settings.js';
+import { getPlexServerContext } from './plex-library.js';
+import { listShowSections, collectSectionShows, createThrottle, resolveShowRating } from './library-scan.js';
+
+const SERIALIZD_REQUEST_INTERVAL_MS = 1000; // Spacing between uncached Serializd lookups
+
+const AUDIT_STATUS_LABELS = {
+  matched: 'Matched',
+  'no-rating': 'No rating on Serializd',
+  'no-tmdb-guid': 'No TMDB GUID in Plex',
+  'serializd-404': 'Not found on Serializd',
+  unavailable: 'Serializd unavailable',
+  error: 'Lookup failed'
+};
+
+const EXPORT_COLUMNS = ['section', 'ratingKey', 'title', 'year', 'tmdbId', 'tmdbSource', 'serializdUrl', 'rating', 'status', 'reason'];
+
+const serverStatus = document.getElementById('server-status');
+const runButton = document.getElementById('run');
+const problemsOnly = document.getElementById('problems-only');
+const exportCsvButton = document.getElementById('export-csv');
+const exportJsonButton = document.getElementById('export-json');
+const progress = document.getElementById('progress');
+const summary = document.getElementById('summary');
+const tableBody = document.querySelector('#results tbody');
+
+let rows = [];
+
+async function runAudit() {
+  runButton.disabled = true;
+  rows = [];
+  render();
+
+  try {
+    const settings = await loadSettings();
+    const options = { ttl: settings.showCacheTtlDays * 86400, throttle: createThrottle(SERIALIZD_REQUEST_INTERVAL_MS) };
+    const shows = [];
+
+    for (const section of await listShowSections()) {
+      shows.push(...await collectSectionShows(section, (count) => {
+        progress.textContent = `Reading "${section.title}" (${shows.length + count} shows so far)…`;
+      }));
+    }
+
+    for (const [index, show] of shows.entries()) {
+      progress.textContent = `Checking ${index + 1}/${shows.length}: ${show.title}`;
+      rows.push(await resolveShowRating(show, options));
+      if (index % 10 === 9) render();
+    }
+
+    progress.textContent = `Audited ${rows.length} shows.`;
+  } catch (error) {
+    progress.textContent = `Audit failed: ${error.message}`;
+  } finally {
+    runButton.disabled = false;
+    render();
+  }
+}
+
+function render() {
+  const visible = problemsOnly.checked ? rows.filter((row) => row.status !== 'matched') : rows;
+
+  tableBody.replaceChildren(...visible.map((row) => {
+    const tr = document.createElement('tr');
+    tr.dataset.status = row.status;
+
+    const cells = [row.section, row.ratingKey, `${row.title}${row.year ? ` (${row.year})` : ''}`, row.tmdbId ?? '', row.rating ?? ''];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = String(value);
+      tr.appendChild(td);
+    }
+
+    const statusCell = document.createElement('td');
+    statusCell.textContent = AUDIT_STATUS_LABELS[row.status];
+    if (row.reason) statusCell.title = row.reason;
+    tr.appendChild(statusCell);
+
+    const linkCell = document.createElement('td');
+    if (row.serializdUrl) {
+      const link = document.createElement('a');
+      link.href = row.serializdUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = 'Serializd';
+      linkCell.appendChild(link);
+    }
+    tr.appendChild(linkCell);
+
+    return tr;
+  }));
+
+  const problems = rows.filter((row) => row.status !== 'matched').length;
+  summary.textContent = rows.length ? `${rows.length} shows, ${problems} need attention.` : '';
+  exportCsvButton.disabled = rows.length === 0;
+  exportJsonButton.disabled = rows.length === 0;
+}
+
+function toCsv(data) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [EXPORT_COLUMNS.join(','), ...data.map((row) => EXPORT_COLUMNS.map((column) => escape(row[column])).join(','))].join('\n');
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getExportRows() {
+  return problemsOnly.checked ? rows.filter((row) => row.status !== 'matched') : rows;
+}
+
+runButton.addEventListener('click', runAudit);
+problemsOnly.addEventListener('change', render);
+exportCsvButton.addEventListener('click', () => {
+  download('serializd-plex-audit.csv', 'text/csv', toCsv(getExportRows()));
+});
+exportJsonButton.addEventListener('click', () => {
+  download('serializd-plex-audit.json', 'application/json', JSON.stringify(getExportRows(), null, 2));
+});
+
+getPlexServerContext().then((context) => {
+  if (context) {
+    serverStatus.textContent = `Plex server: ${context.serverUrl}`;
+  } else {
+    serverStatus.textContent = 'No Plex server seen yet. Open a show in Plex Web, then reload this page.';
+    runButton.disabled = true;
+  }
+  render();
+});
@@ -1,7 +1,53 @@
 // Serializd-Plex Background Script (Service Worker)
 // Handles API calls and data fetching
 
+import { DEFAULT_SETTINGS, loadSettings, onSettingsChanged } from './settings.js';
+import {
+  CUSTOM_HOSTS_SCRIPT_ID,
+  BUILT_IN_PLEX_SERVER_MATCH_PATTERNS,
+  originToMatchPattern,
+  toPlexMetadataMatchPatterns,
+  isAllowedPlexServerUrl
+} from './plex-hosts.js';
+import { resolveTmdbIdFromExternalIds, refreshIdMappingTable, getIdMappingStatus } from './id-mapping.js';
+import { logSerializdEpisodes, SERIALIZD_LOGIN_URL } from './serializd-api.js';
+import {
+  SCROBBLE_RETRY_ALARM,
+  parseTimelineRequest,
+  enqueueScrobble,
+  processScrobbleQueue,
+  getScrobbleState,
+  clearScrobbleHistory
+} from './scrobbler.js';
+import { cacheRating, pruneShowCache, getShowCacheStats, clearShowCache } from './show-cache.js';
+import { createRequestCache } from './request-cache.js';
+import { normalizeShowTitle, pickBestShowCandidate } from './show-matching.js';
+import { parsePlexMediaContainer, parsePlexItem, extractTMDBIdFromPlexItem, getRelatedPlexKeys } from './plex-metadata.js';
+import {
+  registerPlexServer,
+  getPlexServer,
+  getLatestPlexServer,
+  findPlexServerByUrl,
+  isValidPlexToken
+} from './plex-server-registry.js';
+import { discoverPlexServer, demotePlexConnection, pruneServerCache } from './plex-discovery.js';
+import { parseSerializdShowPage } from './serializd-parser.js';
+import {
+  SerializdUnavailableError,
+  configureSerializdScheduler,
+  scheduleSerializdFetch
+} from './serializd-scheduler.js';
+
 const DEV_LOG_RELAY_ENABLED = __DEV_RELAY__;
+const SHOW_CACHE_PRUNE_ALARM = 'serializd-show-cache-prune';
+const SHOW_CACHE_PRUNE_INTERVAL_MINUTES = 6 * 60;
+const ID_MAPPING_REFRESH_ALARM = 'serializd-id-mapping-refresh';
+const ID_MAPPING_REFRESH_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// Identical concurrent requests share one fetch; results are reused briefly (see request-cache.js).
+const plexMetadataRequests = createRequestCache({ ttlMs: 30000 });
+const serializdRatingRequests = createRequestCache({ ttlMs: 60000, shouldCache: (result) => !!result?.seasonMap || !!result?.notFound });
+const ratingRefreshes = createRequestCache({ ttlMs: 0 });
 
 function redactSensitiveForLog(str) {
   if (typeof str !== 'string') return str;
@@ -9,6 +55,7 @@ function redactSensitiveForLog(str) {
   return str
     .replace(/([?&]X-Plex-Token=)[^&\s]+/gi, '$1<redacted>')
     .replace(/([?&]token=)[^&\s]+/gi, '$1<redacted>')
+    .replace(/([?&]api_key=)[^&\s]+/gi, '$1<redacted>')
     .replace(/("X-Plex-Token"\s*:\s*")[^"]+(")/gi, '$1<redacted>$2')
     .replace(/("token"\s*:\s*")[^"]+(")/gi, '$1<redacted>$2');
 }
@@ -26,6 +73,119 @@ function getSafeErrorMessage(error) {
 
 DEV_DEBUG: console.log('Serializd-Plex: Background script loaded');
 
+// Options page settings, kept current without a reload
+let currentSettings = { ...DEFAULT_SETTINGS };
+
+loadSettings().then((settings) => {
+  currentSettings = settings;
+  configureSerializdScheduler(settings);
+  syncCustomHosts(settings.customHosts);
+
+  // Pick up scrobbles queued before the background script was restarted.
+  if (settings.scrobbleEnabled) {
+    runScrobbleQueue();
+  }
+
+  runShowCachePrune();
+  runServerCachePrune();
+});
+
+chrome.alarms.create(SHOW_CACHE_PRUNE_ALARM, { periodInMinutes: SHOW_CACHE_PRUNE_INTERVAL_MINUTES });
+chrome.alarms.create(ID_MAPPING_REFRESH_ALARM, { periodInMinutes: ID_MAPPING_REFRESH_INTERVAL_MINUTES });
+
+onSettingsChanged((settings) => {
+  currentSettings = settings;
+  configureSerializdScheduler(settings);
+  syncCustomHosts(settings.customHosts);
+});
+
+// A custom host's permission can be revoked from about:addons; stop injecting there.
+chrome.permissions.onRemoved.addListener(() => {
+  syncCustomHosts(currentSettings.customHosts);
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  syncCustomHosts(currentSettings.customHosts);
+});
+
+let customHostSyncChain = Promise.resolve();
+
+/**
+ * Apply the granted custom hosts to the content script registration and the metadata capture listener.
+ * @param {string[]} customHosts - Normalized custom origins from settings
+ */
+function syncCustomHosts(customHosts) {
+  // Serialize syncs: overlapping unregister/register calls would fail on the shared script ID.
+  customHostSyncChain = customHostSyncChain.then(async () => {
+    const matches = await getGrantedCustomHostPatterns(customHosts);
+    try {
+      registerPlexMetadataCapture(matches);
+    } catch (error) {
+      console.error('Serializd-Plex: Error registering Plex metadata capture:', getSafeErrorMessage(error));
+    }
+    await registerCustomHostContentScripts(matches, customHosts.length);
+  });
+  return customHostSyncChain;
+}
+
+/**
+ * Match patterns of the custom origins whose host permission the user has granted.
+ * @param {string[]} customHosts - Normalized custom origins from settings
+ * @returns {Promise<string[]>}
+ */
+async function getGrantedCustomHostPatterns(customHosts) {
+  const matches = [];
+  for (const origin of customHosts) {
+    const pattern = originToMatchPattern(origin);
+    try {
+      if (pattern && await chrome.permissions.contains({ origins: [pattern] })) {
+        matches.push(pattern);
+      }
+    } catch (error) {
+      console.error('Serializd-Plex: Error checking custom host permission:', getSafeErrorMessage(error));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Register the content script for every custom Plex origin the user has granted.
+ * Manifest content_scripts only cover the built-in hosts; custom origins are
+ * registered at runtime and re-synced whenever settings or permissions change.
+ * @param {string[]} matches - Match patterns of the granted custom origins
+ * @param {number} configured - Number of custom origins in settings (for the dev log)
+ */
+async function registerCustomHostContentScripts(matches, configured) {
+  try {
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_HOSTS_SCRIPT_ID] });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_HOSTS_SCRIPT_ID] });
+    }
+
+    if (matches.length > 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: CUSTOM_HOSTS_SCRIPT_ID,
+        matches,
+        js: ['scripts/content.js'],
+        css: ['styles.css'],
+        runAt: 'document_idle',
+        persistAcrossSessions: false
+      }]);
+    }
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'hosts',
+        event: 'custom-host-scripts-synced',
+        data: { configured, registered: matches.length }
+      });
+    }
+  } catch (error) {
+    console.error('Serializd-Plex: Error registering custom host content scripts:', getSafeErrorMessage(error));
+  }
+}
+
 let relayDevLog = () => {};
 
 DEV_RELAY: {
@@ -37,6 +197,7 @@ DEV_RELAY: {
     return str
       .replace(/([?&]X-Plex-Token=)[^&\s]+/gi, '$1<redacted>')
       .replace(/([?&]token=)[^&\s]+/gi, '$1<redacted>')
+    .replace(/([?&]api_key=)[^&\s]+/gi, '$1<redacted>')
       .replace(/("X-Plex-Token"\s*:\s*")[^"]+(")/gi, '$1<redacted>$2')
       .replace(/("token"\s*:\s*")[^"]+(")/gi, '$1<redacted>$2');
   }
@@ -96,7 +257,7 @@ DEV_RELAY: {
   };
 }
 
-// Intercept Plex API responses to extract server URLs
+// Intercept Plex API responses to register the servers (URL + token) Plex Web talks to
 chrome.webRequest.onCompleted.addListener(
   (details) => {
     if (!details.url.includes('/library/metadata/')) {
@@ -109,7 +270,7 @@ chrome.webRequest.onCompleted.addListener(
       const token = urlObj.searchParams.get('X-Plex-Token') ||
                    details.responseHeaders?.find(h => h.name.toLowerCase() === 'x-plex-token')?.value;
 
-      // Extract server ID from URL path (e.g., /server/<id>/... or from plex.direct subdomain)
+      // Server ID from the URL path (/server/<id>/...) or plex.direct subdomain; only used when /identity fails
       let serverId = null;
       const serverMatch = details.url.match(/\/server\/([^\/]+)/);
       if (serverMatch) {
@@ -119,14 +280,16 @@ chrome.webRequest.onCompleted.addListener(
         serverId = urlObj.hostname.split('.')[0];
       }
 
+      const registration = token && isAllowedPlexServerUrl(serverUrl, currentSettings.customHosts)
+        ? registerPlexServer({ serverUrl, token, fallbackId: serverId }).catch(() => null)
+        : Promise.resolve(null);
+
       if (details.tabId >= 0) {
-        chrome.tabs.sendMessage(details.tabId, {
+        registration.then((machineIdentifier) => chrome.tabs.sendMessage(details.tabId, {
           action: 'plexApiIntercepted',
           url: details.url,
-          serverUrl: serverUrl,
-          serverId: serverId,
-          token: token
-        }).catch(() => {
+          serverId: machineIdentifier
+        })).catch(() => {
           // Tab might be closed or not have content script loaded
         });
       }
@@ -161,6 +324,167 @@ chrome.webRequest.onCompleted.addListener(
   ["responseHeaders"]
 );
 
+// Capture Plex Web's own item responses so content scripts can read GUIDs without fetching the item again.
+const CAPTURED_PLEX_ITEM_TTL_MS = 2 * 60000;
+const CAPTURED_PLEX_ITEM_WAIT_MS = 3000; // A capture still streaming when the content script asks
+const MAX_CAPTURED_PLEX_ITEMS = 200;
+const capturedPlexItems = new Map(); // "<tabId>|<ratingKey>" → { item: Promise<PlexItem|null>, capturedAt }
+
+function rememberCapturedPlexItem(key, item) {
+  capturedPlexItems.delete(key);
+  capturedPlexItems.set(key, { item, capturedAt: Date.now() });
+
+  while (capturedPlexItems.size > MAX_CAPTURED_PLEX_ITEMS) {
+    capturedPlexItems.delete(capturedPlexItems.keys().next().value);
+  }
+}
+
+/**
+ * Tee the body of a /library/metadata/<ratingKey> response Plex Web requested (Firefox filterResponseData).
+ * The body is passed on to Plex Web unchanged. Only requests made with includeGuids=1 are kept;
+ * without it the item has no external IDs and the content script has to fetch it anyway.
+ */
+function capturePlexMetadataResponse(details) {
+  if (details.tabId < 0 || details.method !== 'GET' || typeof browser === 'undefined' || !browser.webRequest?.filterResponseData) {
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(details.url);
+  } catch (e) {
+    return;
+  }
+
+  const ratingKey = url.pathname.match(/^\/library\/metadata\/(\d+)$/)?.[1];
+  if (!ratingKey || url.searchParams.get('includeGuids') !== '1') {
+    return;
+  }
+  if (!isAllowedPlexServerUrl(url.origin, currentSettings.customHosts)) {
+    return;
+  }
+
+  const filter = browser.webRequest.filterResponseData(details.requestId);
+  const decoder = new TextDecoder('utf-8');
+  let body = '';
+
+  const item = new Promise((resolve) => {
+    filter.ondata = (event) => {
+      filter.write(event.data);
+      body += decoder.decode(event.data, { stream: true });
+    };
+    filter.onstop = () => {
+      filter.close();
+      body += decoder.decode();
+
+      try {
+        resolve(parsePlexMediaContainer(body).items.find((candidate) => candidate.ratingKey === ratingKey) || null);
+      } catch (error) {
+        resolve(null);
+      }
+
+      DEV_RELAY: {
+        relayDevLog({
+          source: 'background',
+          channel: 'intercept',
+          event: 'plexItemCaptured',
+          data: { url: details.url, tabId: details.tabId, payloadLength: body.length }
+        });
+      }
+    };
+    filter.onerror = () => resolve(null);
+  });
+
+  rememberCapturedPlexItem(`${details.tabId}|${ratingKey}`, item);
+}
+
+async function getCapturedPlexItem(tabId, ratingKey) {
+  const entry = capturedPlexItems.get(`${tabId}|${ratingKey}`);
+  if (!entry || Date.now() - entry.capturedAt > CAPTURED_PLEX_ITEM_TTL_MS) {
+    return null;
+  }
+
+  return Promise.race([
+    entry.item,
+    new Promise((resolve) => setTimeout(() => resolve(null), CAPTURED_PLEX_ITEM_WAIT_MS))
+  ]);
+}
+
+/**
+ * (Re-)register the blocking capture listener for item metadata requests to built-in and granted custom hosts.
+ * @param {string[]} customHostPatterns - Match patterns of the granted custom origins
+ */
+function registerPlexMetadataCapture(customHostPatterns) {
+  chrome.webRequest.onBeforeRequest.removeListener(capturePlexMetadataResponse);
+  chrome.webRequest.onBeforeRequest.addListener(
+    capturePlexMetadataResponse,
+    {
+      urls: toPlexMetadataMatchPatterns([...BUILT_IN_PLEX_SERVER_MATCH_PATTERNS, ...customHostPatterns]),
+      types: ['xmlhttprequest']
+    },
+    ['blocking']
+  );
+}
+
+// Built-in hosts right away; custom hosts are added once settings have loaded.
+registerPlexMetadataCapture([]);
+
+// Scrobbler: Plex Web reports playback progress to the server via /:/timeline every few seconds.
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    if (!currentSettings.scrobbleEnabled || details.tabId < 0) {
+      return;
+    }
+
+    const timeline = parseTimelineRequest(details.url);
+    if (!timeline || timeline.progress < currentSettings.scrobbleThreshold) {
+      return;
+    }
+
+    if (!isAllowedPlexServerUrl(timeline.serverUrl, currentSettings.customHosts)) {
+      return;
+    }
+
+    findPlexServerByUrl(timeline.serverUrl)
+      .then((server) => enqueueScrobble({ ...timeline, serverId: server?.machineIdentifier || null }))
+      .then((added) => {
+        DEV_RELAY: {
+          if (added) {
+            relayDevLog({
+              source: 'background',
+              channel: 'scrobble',
+              event: 'scrobble:queued',
+              data: { ratingKey: timeline.ratingKey, progress: timeline.progress, tabId: details.tabId }
+            });
+          }
+        }
+
+        if (added) runScrobbleQueue();
+      })
+      .catch((error) => {
+        console.error('Serializd-Plex: Error queueing scrobble:', getSafeErrorMessage(error));
+      });
+  },
+  { urls: ['*://*/:/timeline*'] }
+);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCROBBLE_RETRY_ALARM && currentSettings.scrobbleEnabled) {
+    runScrobbleQueue();
+  }
+
+  if (alarm.name === SHOW_CACHE_PRUNE_ALARM) {
+    runShowCachePrune();
+    runServerCachePrune();
+  }
+
+  if (alarm.name === ID_MAPPING_REFRESH_ALARM && currentSettings.idMappingTableUrl) {
+    refreshIdMappingTable(currentSettings.idMappingTableUrl).catch((error) => {
+      console.error('Serializd-Plex: Error refreshing ID mapping table:', getSafeErrorMessage(error));
+    });
+  }
+});
+
 // Listen for content script requests
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   DEV_RELAY: {
@@ -179,6 +503,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.action === 'fetchPlexMetadata') {
+    // Content scripts pass the URL and token; only allowed Plex servers ever receive the token.
+    if (!isAllowedPlexMetadataUrl(message.url) || !isValidPlexToken(message.token)) {
+      sendResponse({ error: 'Refused Plex metadata request: server not allowed or invalid token' });
+      return false;
+    }
+
     fetchPlexMetadata(message.url, message.token)
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
@@ -191,36 +521,253 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
+
+  if (message.action === 'refreshSerializdRating') {
+    refreshSerializdRating(message.tmdbId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'resolveExternalIds') {
+    resolveTmdbIdFromExternalIds(message.externalIds, { tmdbApiKey: currentSettings.tmdbApiKey })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: getSafeErrorMessage(error) }));
+    return true;
+  }
+
+  if (message.action === 'refreshIdMappingTable') {
+    // Read the settings again: the options page saves the URL right before asking.
+    loadSettings()
+      .then((settings) => {
+        if (!settings.idMappingTableUrl) {
+          throw new Error('No mapping table URL set');
+        }
+        return refreshIdMappingTable(settings.idMappingTableUrl);
+      })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getIdMappingStatus') {
+    getIdMappingStatus()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'logSerializdEpisode') {
+    logSerializdEpisode(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getCapturedPlexItem') {
+    getCapturedPlexItem(sender?.tab?.id, message.ratingKey)
+      .then((item) => sendResponse({ item }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getPlexServer') {
+    getPlexServerForTab(message.serverId, message.accountToken)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getPlexIconDataUrl') {
+    const origin = sender?.tab?.url ? new URL(sender.tab.url).origin : null;
+    if (!origin || !currentSettings.customHosts.includes(origin)) {
+      sendResponse({ error: 'Not a custom Plex host' });
+      return false;
+    }
+
+    getPlexIconDataUrl()
+      .then((dataUrl) => sendResponse({ dataUrl }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'reportPlexConnectionFailure') {
+    demotePlexConnection(message.serverId, message.connection)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getPlexServerContext') {
+    getPlexServerContext()
+      .then((context) => sendResponse(context
+        ? { serverUrl: context.serverUrl, serverId: context.serverId, capturedAt: context.capturedAt }
+        : { serverUrl: null }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'fetchPlexServerPath') {
+    fetchPlexServerPath(message.path, message.params, message.method)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: getSafeErrorMessage(error) }));
+    return true;
+  }
+
+  if (message.action === 'importSerializdBatch') {
+    logSerializdEpisodes({
+      showId: message.tmdbId,
+      seasonId: message.seasonTmdbId,
+      episodeNumbers: message.episodeNumbers
+    })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getScrobbleState') {
+    getScrobbleState()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'clearScrobbleHistory') {
+    clearScrobbleHistory()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getShowCacheStats') {
+    getShowCacheStats()
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'clearShowCache') {
+    clearShowCache()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'searchSerializdShow') {
+    searchSerializdShow(message.title, message.year)
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 });
 
+let plexIconDataUrl = null;
+
+// Custom hosts can't be added to web_accessible_resources at runtime; their badges get the icon inline.
+async function getPlexIconDataUrl() {
+  if (!plexIconDataUrl) {
+    const response = await fetch(chrome.runtime.getURL('icons/plex-icon-16.png'));
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    plexIconDataUrl = `data:image/png;base64,${btoa(String.fromCharCode(...bytes))}`;
+  }
+  return plexIconDataUrl;
+}
+
+/**
+ * Plex API URLs content scripts may have fetched: http(s) on an allowed Plex server.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isAllowedPlexMetadataUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return ['http:', 'https:'].includes(urlObj.protocol) &&
+      isAllowedPlexServerUrl(urlObj.origin, currentSettings.customHosts);
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Fetch Plex metadata from server
  * @param {string} url - Plex API URL
  * @param {string} token - Plex token
  * @returns {Promise<Object>} Response with text and status
  */
-async function fetchPlexMetadata(url, token) {
+function fetchPlexMetadata(url, token, method = 'GET') {
+  if (method !== 'GET') {
+    // Edits make remembered reads of the same items outdated.
+    plexMetadataRequests.clear();
+    return requestPlexMetadata(url, token, method);
+  }
+
+  // The token is part of the key: different Plex users may see different items at the same URL.
+  return plexMetadataRequests.run(`${url}|${token}`, () => requestPlexMetadata(url, token, method));
+}
+
+function isJsonBody(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Ask Plex for JSON, like Plex Web does. Servers or paths that refuse it (406), or answer with a body
+ * that doesn't parse, are asked again for XML; plex-metadata.js reads both.
+ * @returns {Promise<{response:Response, text:string, format:'json'|'xml'}>}
+ */
+async function fetchPlexBody(url, token, method) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'X-Plex-Token': token,
+      'Accept': 'application/json'
+    }
+  });
+
+  if (response.ok) {
+    const text = await response.text();
+    if (!text.trimStart().startsWith('{')) {
+      return { response, text, format: 'xml' };
+    }
+    // Writes aren't repeated; their bodies aren't read anyway.
+    if (method !== 'GET' || isJsonBody(text)) {
+      return { response, text, format: 'json' };
+    }
+  } else if (response.status !== 406) {
+    throw new Error(`Plex API error: ${response.status}`);
+  }
+
+  const xmlResponse = await fetch(url, {
+    method,
+    headers: {
+      'X-Plex-Token': token,
+      'Accept': 'application/xml'
+    }
+  });
+
+  if (!xmlResponse.ok) {
+    throw new Error(`Plex API error: ${xmlResponse.status}`);
+  }
+
+  return { response: xmlResponse, text: await xmlResponse.text(), format: 'xml' };
+}
+
+async function requestPlexMetadata(url, token, method) {
   try {
     DEV_RELAY: {
       relayDevLog({
         source: 'background',
         channel: 'plex',
         event: 'fetchPlexMetadata:start',
-        data: { url, hasToken: !!token }
+        data: { url, method, hasToken: !!token }
       });
     }
 
-    const response = await fetch(url, {
-      headers: {
-        'X-Plex-Token': token
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Plex API error: ${response.status}`);
-    }
-
-    const text = await response.text();
+    const { response, text, format } = await fetchPlexBody(url, token, method);
 
     DEV_RELAY: {
       relayDevLog({
@@ -230,12 +777,13 @@ async function fetchPlexMetadata(url, token) {
         data: {
           url,
           status: response.status,
+          format,
           payloadLength: text.length
         }
       });
     }
 
-    return { success: true, text, status: response.status };
+    return { success: true, text, format, status: response.status };
   } catch (error) {
     console.error('Serializd-Plex: Error fetching from Plex API:', getSafeErrorMessage(error));
 
@@ -261,9 +809,14 @@ async function fetchPlexMetadata(url, token) {
  * - show rating
  * - season number -> season TMDB ID mapping (for season/episode URLs)
  * @param {number} tmdbId - TMDB ID of the show
+ * @param {{fresh?:boolean}} options - fresh skips the in-memory result cache
  * @returns {Promise<Object>} Rating + season map data
  */
-async function fetchSerializdRating(tmdbId) {
+function fetchSerializdRating(tmdbId, { fresh = false } = {}) {
+  return serializdRatingRequests.run(String(tmdbId), () => requestSerializdRating(tmdbId), { fresh });
+}
+
+async function requestSerializdRating(tmdbId) {
   const url = `https://www.serializd.com/show/${tmdbId}`;
 
   try {
@@ -276,7 +829,7 @@ async function fetchSerializdRating(tmdbId) {
       });
     }
 
-    const response = await fetch(url, {
+    const response = await scheduleSerializdFetch(url, {
       headers: {
         'Accept': 'text/html',
         'Accept-Language': 'en-US,en;q=0.9'
@@ -285,46 +838,30 @@ async function fetchSerializdRating(tmdbId) {
 
     if (!response.ok) {
       if (response.status === 404) {
-        return { success: false, error: 'Show not found on Serializd', url };
+        return { success: false, notFound: true, error: 'Show not found on Serializd', url };
       }
       throw new Error(`Serializd HTTP error: ${response.status}`);
     }
 
-    const html = await response.text();
+    const parsed = await parseSerializdShowPage(await response.text(), {
+      path: `/show/${tmdbId}`,
+      fetchJson: fetchSerializdJson
+    });
 
-    const nextDataMatch = html.match(/<script id="__NEXT_DATA__"[^>]*>(.*?)<\/script>/s);
-    if (!nextDataMatch) {
-      return { success: false, error: 'Could not parse Serializd data', url };
+    if (!parsed.ok) {
+      console.warn('Serializd-Plex: Could not read Serializd show page:', parsed.error);
+      return { success: false, parserOutdated: true, error: parsed.error, parserVersion: parsed.parserVersion, url };
     }
 
-    let nextData;
-    try {
-      nextData = JSON.parse(nextDataMatch[1]);
-    } catch (parseError) {
-      return { success: false, error: 'Error parsing Serializd data', url };
-    }
-
-    const showDetails = nextData?.props?.pageProps?.data?.showDetails;
-    const averageRating = nextData?.props?.pageProps?.data?.averageRating;
-    const seasons = Array.isArray(showDetails?.seasons) ? showDetails.seasons : [];
-
-    const seasonMap = {};
-    for (const season of seasons) {
-      if (
-        Number.isInteger(season?.seasonNumber) &&
-        Number.isInteger(season?.id)
-      ) {
-        seasonMap[season.seasonNumber] = season.id;
-      }
-    }
+    const { averageRating, seasonMap, details, strategy } = parsed;
 
-    if (typeof averageRating !== 'number') {
+    if (averageRating === null) {
       DEV_RELAY: {
         relayDevLog({
           source: 'background',
           channel: 'serializd',
           event: 'fetchSerializdRating:no-rating',
-          data: { tmdbId, url, seasonCount: Object.keys(seasonMap).length }
+          data: { tmdbId, url, strategy, seasonCount: Object.keys(seasonMap).length }
         });
       }
 
@@ -333,7 +870,8 @@ async function fetchSerializdRating(tmdbId) {
         error: 'No rating available',
         url,
         tmdbId,
-        seasonMap
+        seasonMap,
+        details
       };
     }
 
@@ -347,6 +885,7 @@ async function fetchSerializdRating(tmdbId) {
         data: {
           tmdbId,
           url,
+          strategy,
           ratingOutOf5,
           seasonCount: Object.keys(seasonMap).length
         }
@@ -359,7 +898,8 @@ async function fetchSerializdRating(tmdbId) {
       ratingOutOf10: averageRating,
       url,
       tmdbId,
-      seasonMap
+      seasonMap,
+      details
     };
   } catch (error) {
     console.error('Serializd-Plex: Error fetching Serializd rating:', getSafeErrorMessage(error));
@@ -373,6 +913,448 @@ async function fetchSerializdRating(tmdbId) {
       });
     }
 
+    if (error instanceof SerializdUnavailableError) {
+      return { success: false, unavailable: true, retryAt: error.retryAt, error: error.message, url };
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Re-fetch a show's Serializd rating and write it to the show cache (stale-while-revalidate).
+ * @param {number} tmdbId - Show TMDB ID
+ * @returns {Promise<Object>} Same shape as fetchSerializdRating
+ */
+function refreshSerializdRating(tmdbId) {
+  // One refresh per TMDB ID at a time, shared by every tab that rendered the same stale badge.
+  return ratingRefreshes.run(String(tmdbId), async () => {
+    const ratingData = await fetchSerializdRating(tmdbId, { fresh: true });
+
+    if (ratingData.seasonMap) {
+      await cacheRating(tmdbId, {
+        rating: ratingData.rating,
+        seasonMap: ratingData.seasonMap,
+        details: ratingData.details
+      });
+    }
+
+    return ratingData;
+  });
+}
+
+/**
+ * JSON fetcher for the parser's Next.js data-route strategy (same request budget as page loads).
+ */
+async function fetchSerializdJson(url) {
+  const response = await scheduleSerializdFetch(url, {
+    headers: { 'Accept': 'application/json' }
+  });
+  return response.ok ? response.json() : null;
+}
+
+const SERIALIZD_SEARCH_URL = 'https://www.serializd.com/api/search/shows';
+const FUZZY_MATCH_TTL = 2592000; // 30 days in seconds for chosen title/year mappings
+const FUZZY_NO_MATCH_TTL = 86400; // 1 day in seconds before searching again for unmatched titles
+const MAX_FUZZY_MATCH_ENTRIES = 500;
+
+function getFuzzyMatchCacheKey(title, year) {
+  return `${normalizeShowTitle(title)}|${year || ''}`;
+}
+
+async function getCachedFuzzyMatch(key) {
+  try {
+    const result = await chrome.storage.local.get('fuzzy_matches');
+    const entry = result.fuzzy_matches?.[key];
+    if (!entry?.timestamp) return null;
+
+    const ttl = entry.tmdbId ? FUZZY_MATCH_TTL : FUZZY_NO_MATCH_TTL;
+    if (Math.floor(Date.now() / 1000) - entry.timestamp > ttl) return null;
+
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function cacheFuzzyMatch(key, match) {
+  try {
+    const result = await chrome.storage.local.get('fuzzy_matches');
+    const cache = result.fuzzy_matches || {};
+
+    cache[key] = {
+      tmdbId: match?.tmdbId ?? null,
+      score: match?.score ?? null,
+      matchedTitle: match?.matchedTitle ?? null,
+      matchedYear: match?.matchedYear ?? null,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+
+    const entries = Object.entries(cache);
+    if (entries.length > MAX_FUZZY_MATCH_ENTRIES) {
+      entries.sort(([, a], [, b]) => (a.timestamp || 0) - (b.timestamp || 0));
+      for (const [staleKey] of entries.slice(0, entries.length - MAX_FUZZY_MATCH_ENTRIES)) {
+        delete cache[staleKey];
+      }
+    }
+
+    await chrome.storage.local.set({ fuzzy_matches: cache });
+  } catch (error) {
+    console.error('Serializd-Plex: Fuzzy match cache write error:', getSafeErrorMessage(error));
+  }
+}
+
+/**
+ * Resolve a show by title/year when Plex metadata carries no TMDB GUID
+ * (e.g. libraries still on the legacy TheTVDB agent).
+ * The chosen mapping (or the absence of one) is cached per title/year.
+ * @param {string} title - Show title from the Plex page
+ * @param {string|null} year - Premiere year from the Plex page
+ * @returns {Promise<Object>} { success, tmdbId, score, matchedTitle, matchedYear, fuzzy }
+ */
+async function searchSerializdShow(title, year) {
+  const query = String(title || '').replace(/\s*\(\d{4}\)\s*$/, '').trim();
+  if (!query) {
+    return { success: false, error: 'Missing title' };
+  }
+
+  const cacheKey = getFuzzyMatchCacheKey(query, year);
+  const cached = await getCachedFuzzyMatch(cacheKey);
+  if (cached) {
+    return cached.tmdbId
+      ? { success: true, fuzzy: true, cached: true, ...cached }
+      : { success: false, error: 'No confident title match', cached: true };
+  }
+
+  const url = `${SERIALIZD_SEARCH_URL}/${encodeURIComponent(query)}?page=1`;
+
+  try {
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'serializd',
+        event: 'searchSerializdShow:start',
+        data: { title: query, year, url }
+      });
+    }
+
+    const response = await scheduleSerializdFetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'serializd_vercel'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Serializd search HTTP error: ${response.status}`);
+    }
+
+    const body = await response.json();
+    const candidates = Array.isArray(body?.results) ? body.results : Array.isArray(body) ? body : [];
+    const match = pickBestShowCandidate(candidates, query, year);
+
+    await cacheFuzzyMatch(cacheKey, match);
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'serializd',
+        event: match ? 'searchSerializdShow:match' : 'searchSerializdShow:no-match',
+        data: { title: query, year, candidateCount: candidates.length, match }
+      });
+    }
+
+    if (!match) {
+      return { success: false, error: 'No confident title match' };
+    }
+
+    return { success: true, fuzzy: true, ...match };
+  } catch (error) {
+    console.error('Serializd-Plex: Error searching Serializd:', getSafeErrorMessage(error));
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'serializd',
+        event: 'searchSerializdShow:error',
+        data: { title: query, year, url, message: error?.message || String(error) }
+      });
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Log one episode to the user's Serializd diary (optionally rated).
+ * @param {{tmdbId:number, seasonTmdbId:number, episodeNum:number, rating?:number|null}} request
+ *   rating is out of 5 in half-star steps
+ * @returns {Promise<Object>} { success, loggedIn, rated, loginUrl?, error? }
+ */
+async function logSerializdEpisode({ tmdbId, seasonTmdbId, episodeNum, rating = null }) {
+  if (!Number.isInteger(tmdbId) || !Number.isInteger(seasonTmdbId) || !Number.isInteger(episodeNum)) {
+    return { success: false, loggedIn: true, rated: false, error: 'Missing Serializd episode IDs' };
+  }
+
+  const normalizedRating = typeof rating === 'number' && rating > 0
+    ? Math.min(5, Math.round(rating * 2) / 2)
+    : null;
+
+  try {
+    const result = await logSerializdEpisodes({
+      showId: tmdbId,
+      seasonId: seasonTmdbId,
+      episodeNumbers: [episodeNum],
+      rating: normalizedRating
+    });
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'serializd',
+        event: result.success ? 'logSerializdEpisode:success' : 'logSerializdEpisode:error',
+        data: { tmdbId, seasonTmdbId, episodeNum, rated: result.rated, loggedIn: result.loggedIn, error: result.error || null }
+      });
+    }
+
+    return result.loggedIn ? result : { ...result, loginUrl: SERIALIZD_LOGIN_URL };
+  } catch (error) {
+    console.error('Serializd-Plex: Error logging episode to Serializd:', getSafeErrorMessage(error));
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'serializd',
+        event: 'logSerializdEpisode:error',
+        data: { tmdbId, seasonTmdbId, episodeNum, message: error?.message || String(error) }
+      });
+    }
+
     throw error;
   }
 }
+
+function runShowCachePrune() {
+  return pruneShowCache(currentSettings.showCacheTtlDays * 86400)
+    .then((removed) => {
+      DEV_RELAY: {
+        relayDevLog({
+          source: 'background',
+          channel: 'cache',
+          event: 'show-cache-pruned',
+          data: { removed }
+        });
+      }
+    })
+    .catch((error) => {
+      console.error('Serializd-Plex: Error pruning show cache:', getSafeErrorMessage(error));
+    });
+}
+
+function runServerCachePrune() {
+  return pruneServerCache(currentSettings.serverCacheTtlMinutes * 60).catch((error) => {
+    console.error('Serializd-Plex: Error pruning server cache:', getSafeErrorMessage(error));
+  });
+}
+
+function runScrobbleQueue() {
+  return processScrobbleQueue({
+    resolvePlexItem: resolveScrobblePlexItem,
+    resolveEpisode: resolveScrobbleEpisode,
+    logEpisode: logScrobbledEpisode
+  }).catch((error) => {
+    console.error('Serializd-Plex: Error processing scrobble queue:', getSafeErrorMessage(error));
+  });
+}
+
+/**
+ * Read a queued Plex item from its server, through the server registry (no Plex tab needed).
+ * Show and season TMDB IDs missing on the episode come from its show and season items.
+ * @param {{serverId:string|null, serverUrl:string, plexKey:string}} entry - Queue entry
+ * @returns {Promise<{showTmdbId:number, seasonTmdbId:number|null, seasonNum:number, episodeNum:number}|{skipped:string, title:string|null}>}
+ */
+async function resolveScrobblePlexItem({ serverId, serverUrl, plexKey }) {
+  const server = (serverId && await getPlexServer(serverId)) || await findPlexServerByUrl(serverUrl);
+  if (!server) {
+    throw new Error('Plex server not seen since the browser started; open Plex Web to retry');
+  }
+
+  const fetchItem = async (key) => {
+    const url = new URL(key, server.serverUrl);
+    url.searchParams.set('includeGuids', '1');
+    const { text } = await fetchPlexMetadata(url.toString(), server.token);
+    return parsePlexItem(text);
+  };
+
+  const item = await fetchItem(plexKey);
+  if (!item) {
+    throw new Error('Plex item not found');
+  }
+
+  if (item.type !== 'episode') {
+    return { skipped: `Not a TV episode (${item.type || 'unknown type'})`, title: item.title };
+  }
+
+  if (item.parentIndex === null || item.index === null) {
+    return { skipped: 'Plex has no season/episode number for this episode', title: item.title };
+  }
+
+  let { showTmdbId, seasonTmdbId, showExternalIds } = extractTMDBIdFromPlexItem(item) || {};
+
+  // Episodes of the Plex agent carry plex:// parent GUIDs; the show and season items have the TMDB ones.
+  for (const relatedKey of getRelatedPlexKeys(item)) {
+    if (showTmdbId && seasonTmdbId) break;
+
+    const related = extractTMDBIdFromPlexItem(await fetchItem(relatedKey));
+    showTmdbId = showTmdbId || related?.showTmdbId || null;
+    seasonTmdbId = seasonTmdbId || related?.seasonTmdbId || null;
+    showExternalIds = showExternalIds || related?.showExternalIds || null;
+  }
+
+  if (!showTmdbId && showExternalIds) {
+    showTmdbId = (await resolveTmdbIdFromExternalIds(showExternalIds, { tmdbApiKey: currentSettings.tmdbApiKey }))?.tmdbId || null;
+  }
+
+  if (!showTmdbId) {
+    throw new Error('Plex has no TMDB ID for this show');
+  }
+
+  return { showTmdbId, seasonTmdbId: seasonTmdbId || null, seasonNum: item.parentIndex, episodeNum: item.index };
+}
+
+/**
+ * Resolve a Plex episode to Serializd IDs; the season ID comes from the Serializd show page if Plex has none.
+ * @param {{showTmdbId:number, seasonTmdbId:number|null, seasonNum:number, episodeNum:number}} plexEpisode
+ * @returns {Promise<Object>} Episode IDs
+ */
+async function resolveScrobbleEpisode(plexEpisode) {
+  let showInfo = null;
+  try {
+    showInfo = await fetchSerializdRating(plexEpisode.showTmdbId);
+  } catch (error) {
+    // Only needed for the season ID fallback and the history label
+  }
+
+  const seasonTmdbId = plexEpisode.seasonTmdbId || showInfo?.seasonMap?.[plexEpisode.seasonNum] || null;
+  if (!seasonTmdbId) {
+    throw new Error(`Season ${plexEpisode.seasonNum} was not found on Serializd`);
+  }
+
+  return {
+    tmdbId: plexEpisode.showTmdbId,
+    seasonTmdbId,
+    seasonNum: plexEpisode.seasonNum,
+    episodeNum: plexEpisode.episodeNum,
+    showName: showInfo?.details?.name || null
+  };
+}
+
+async function logScrobbledEpisode({ tmdbId, seasonTmdbId, episodeNum }) {
+  const result = await logSerializdEpisodes({
+    showId: tmdbId,
+    seasonId: seasonTmdbId,
+    episodeNumbers: [episodeNum]
+  });
+
+  DEV_RELAY: {
+    relayDevLog({
+      source: 'background',
+      channel: 'scrobble',
+      event: result.success ? 'scrobble:logged' : 'scrobble:error',
+      data: { tmdbId, seasonTmdbId, episodeNum, loggedIn: result.loggedIn, error: result.error || null }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * The Plex server + token Plex Web used last, for extension pages (import, audit, write-back)
+ * that run outside a Plex tab.
+ */
+async function getPlexServerContext() {
+  const server = await getLatestPlexServer();
+  return server
+    ? { serverUrl: server.serverUrl, serverId: server.machineIdentifier, token: server.token, capturedAt: server.seenAt }
+    : null;
+}
+
+/**
+ * Base URLs (best first) + token for the server a Plex tab shows (machine identifier from its #!/server/<id>/ URL).
+ * Servers Plex Web hasn't talked to yet are discovered through plex.tv with the account token Plex Web stores,
+ * so servers shared with the account resolve too.
+ * @param {string|null} machineIdentifier
+ * @param {string|null} accountToken - myPlexAccessToken from the Plex Web tab
+ * @returns {Promise<{connections:string[], token:string|null, discovered:boolean}>}
+ */
+async function getPlexServerForTab(machineIdentifier, accountToken) {
+  const server = machineIdentifier ? await getPlexServer(machineIdentifier) : null;
+  if (server) {
+    return { connections: server.connections, token: server.token, discovered: false };
+  }
+
+  if (!machineIdentifier || !isValidPlexToken(accountToken)) {
+    return { connections: [], token: null, discovered: false };
+  }
+
+  try {
+    const discovered = await discoverPlexServer(machineIdentifier, {
+      accountToken,
+      ttl: currentSettings.serverCacheTtlMinutes * 60,
+      customOrigins: currentSettings.customHosts
+    });
+
+    DEV_RELAY: {
+      relayDevLog({
+        source: 'background',
+        channel: 'plex',
+        event: 'discoverPlexServer',
+        data: {
+          machineIdentifier,
+          connections: discovered?.connections || []
+        }
+      });
+    }
+
+    if (!discovered) {
+      return { connections: [], token: null, discovered: false };
+    }
+
+    return { connections: discovered.connections.map((connection) => connection.uri), token: discovered.accessToken, discovered: true };
+  } catch (error) {
+    console.warn('Serializd-Plex: Plex server discovery failed:', getSafeErrorMessage(error));
+    return { connections: [], token: null, discovered: false };
+  }
+}
+
+// Writes are limited to the metadata edit endpoint used by the Plex write-back page.
+const PLEX_WRITABLE_PATH = /^\/library\/sections\/\d+\/all$/;
+
+/**
+ * Fetch a library path from the remembered Plex server. The token never leaves the background script.
+ * @param {string} path - Server path, must start with /library/
+ * @param {Object<string,string|number>} params - Extra query parameters
+ * @param {'GET'|'PUT'} method - PUT is only allowed for metadata edits (/library/sections/<id>/all)
+ * @returns {Promise<{success:boolean, text:string, format:'json'|'xml', status:number}>}
+ */
+async function fetchPlexServerPath(path, params = {}, method = 'GET') {
+  if (typeof path !== 'string' || !path.startsWith('/library/')) {
+    throw new Error('Only Plex library paths can be fetched');
+  }
+
+  if (method !== 'GET' && !(method === 'PUT' && PLEX_WRITABLE_PATH.test(path))) {
+    throw new Error('Only Plex metadata edits can be written');
+  }
+
+  const context = await getPlexServerContext();
+  if (!context) {
+    throw new Error('No Plex server seen yet; open Plex Web first');
+  }
+
+  const url = new URL(path, context.serverUrl);
+  for (const [name, value] of Object.entries(params)) {
+    url.searchParams.set(name, String(value));
+  }
+
+  return fetchPlexMetadata(url.toString(), context.token, method);
+}
@@ -1,18 +1,25 @@
 // Serializd-Plex Content Script
 // Extracts TV show information from Plex pages and displays Serializd links
-// - webRequest API captures Plex API calls (including auth tokens)
-// - Plex.tv API for server connection details
+// - webRequest API captures Plex API calls; the background script keeps per-server URLs and tokens
+// - plex.tv resources API (via the background script) for servers Plex Web hasn't talked to yet
 // - Background script fetching for Plex metadata (bypasses mixed content)
 // - includeGuids=1 parameter to get external GUIDs
+// - Options page settings (chrome.storage.sync), applied live
+
+import { DEFAULT_SETTINGS, loadSettings, onSettingsChanged, formatRating } from './settings.js';
+import { parsePlexItem, extractTMDBIdFromPlexItem, getRelatedPlexKeys, getShowRatingKey } from './plex-metadata.js';
+import { getCachedShowId, cacheShowId, cacheRating, getCachedRating } from './show-cache.js';
+import { BUILT_IN_PLEX_WEB_ORIGINS } from './plex-hosts.js';
 
-const CACHE_TTL = 604800; // 7 days in seconds
-const SERVER_CACHE_TTL = 600; // 10 minutes in seconds for server info caching
-const MAX_CACHE_ENTRIES = 50; // Maximum number of server entries to cache
 const DEBUG_ID_EXTRACTION = __DEV__;
 const DEBUG_NAVIGATION = __DEV__;
 const DEBUG_LOG_RELAY = __DEV_RELAY__;
 const TEST_HOOKS_ENABLED = __TEST_HOOKS__;
 const RETRY_DELAYS_MS = [350, 900, 1800]; // Retry window for timing-sensitive UI/data availability
+const PLEX_HTTP_ERROR_PATTERN = /^Plex API error: \d+/; // Thrown by the background fetch when the server answered
+const LIBRARY_BADGE_CONCURRENCY = 3; // Max parallel Plex + Serializd lookups for poster badges
+const LIBRARY_BADGE_BATCH_DELAY_MS = 250; // Collect newly visible posters before starting lookups
+const PLEX_ICON_PATH = 'icons/plex-icon-16.png';
 
 function redactSensitiveForLog(str) {
   if (typeof str !== 'string') return str;
@@ -35,9 +42,10 @@ function getSafeErrorMessage(error) {
   return redactSensitiveForLog(message);
 }
 
+let currentSettings = { ...DEFAULT_SETTINGS };
+let plexIconUrl = chrome.runtime.getURL(PLEX_ICON_PATH);
 let lastProcessedKey = null;
 let lastObservedHref = window.location.href;
-let lastKnownPlexToken = null;
 let latestProcessRunId = 0;
 const inFlightPageKeys = new Set();
 let retryState = {
@@ -47,7 +55,9 @@ let retryState = {
 };
 
 async function init() {
-  await cleanExpiredServerCache();
+  currentSettings = await loadSettings();
+  onSettingsChanged(applySettingsChange);
+  await loadPlexIconUrl();
 
   DEV_DEBUG: logNavigationDebug('init', {
     href: window.location.href,
@@ -55,6 +65,7 @@ async function init() {
   });
 
   processTVShowPage('init');
+  scanLibraryPosterCards();
 
   const observer = new MutationObserver(debounce((mutations) => {
     const currentHref = window.location.href;
@@ -77,6 +88,7 @@ async function init() {
     }
 
     processTVShowPage(hrefChanged ? 'mutation-url-change' : 'mutation-dom-change');
+    scanLibraryPosterCards();
   }, 500));
 
   observer.observe(document.body, {
@@ -96,6 +108,7 @@ async function init() {
     clearRetryState('hashchange');
     setReadinessMarker();
     processTVShowPage('hashchange');
+    scanLibraryPosterCards();
   });
 
   window.addEventListener('popstate', () => {
@@ -110,12 +123,37 @@ async function init() {
     clearRetryState('popstate');
     setReadinessMarker();
     processTVShowPage('popstate');
+    scanLibraryPosterCards();
   });
 
   // Set initial readiness marker for E2E tests
   setReadinessMarker();
 }
 
+function getShowCacheTtl() {
+  return currentSettings.showCacheTtlDays * 86400;
+}
+
+function applySettingsChange(settings) {
+  currentSettings = settings;
+
+  DEV_DEBUG: logNavigationDebug('settings-changed', { settings });
+
+  // Re-render the details badge and poster badges with the new display settings.
+  lastProcessedKey = null;
+  clearRetryState('settings-changed');
+  processTVShowPage('settings-changed');
+
+  document.querySelectorAll('[data-serializd-card]').forEach((card) => {
+    card.querySelectorAll('.serializd-poster-badge').forEach((el) => el.remove());
+    card.dataset.serializdCard = '';
+    delete card.dataset.serializdRatingValue;
+  });
+  // Rebuild the library toolbar so its labels follow the rating scale.
+  document.querySelectorAll('.serializd-library-toolbar').forEach((el) => el.remove());
+  scanLibraryPosterCards();
+}
+
 async function processTVShowPage(trigger = 'unknown') {
   const title = extractTitle();
   const year = extractYear();
@@ -177,6 +215,7 @@ async function processTVShowPage(trigger = 'unknown') {
 
   // Clean previous injected UI before re-rendering
   document.querySelectorAll('.serializd-link-wrapper').forEach((el) => el.remove());
+  document.querySelectorAll('.serializd-log-action').forEach((el) => el.remove());
   document.querySelectorAll('.serializd-fallback-container').forEach((el) => el.remove());
 
   try {
@@ -184,6 +223,9 @@ async function processTVShowPage(trigger = 'unknown') {
     let seasonTmdbId = null;
     let seasonNum = null;
     let episodeNum = null;
+    let plexMissingTmdbGuid = false;
+    let fuzzyMatch = null;
+    let showRatingKey = null;
 
     if (plexKey) {
       const plexData = await fetchTMDBIdFromPlex(plexKey);
@@ -192,6 +234,8 @@ async function processTVShowPage(trigger = 'unknown') {
         seasonTmdbId = plexData.seasonTmdbId;
         seasonNum = plexData.seasonNum;
         episodeNum = plexData.episodeNum;
+        plexMissingTmdbGuid = !!plexData.missingTmdbGuid;
+        showRatingKey = plexData.showRatingKey || null;
       }
     }
 
@@ -231,16 +275,40 @@ async function processTVShowPage(trigger = 'unknown') {
       }
     }
 
-    const cached = await getCachedRating(title, normalizedYear);
-
     const hasSeasonEpisodeContext =
       seasonNum !== null ||
       episodeNum !== null ||
       seasonTmdbId !== null;
 
-    // Avoid using cached show IDs for season/episode contexts; stale cache can poison deep links.
-    if (!showTmdbId && cached?.tmdbId && !hasSeasonEpisodeContext) {
-      showTmdbId = cached.tmdbId;
+    // The page item and its show both map to the show's TMDB ID, so the cached ID holds on every page type.
+    const plexServerId = getCurrentPlexServerId();
+    const itemRatingKeys = [...new Set([getRatingKeyFromPlexKey(plexKey), showRatingKey].filter(Boolean))];
+
+    if (!showTmdbId) {
+      const cachedShowId = await getCachedShowId(plexServerId, itemRatingKeys, getShowCacheTtl());
+      if (cachedShowId) {
+        showTmdbId = cachedShowId.tmdbId;
+        fuzzyMatch = cachedShowId.fuzzyMatch || null;
+      }
+    } else {
+      await cacheShowId(plexServerId, itemRatingKeys, { tmdbId: showTmdbId });
+    }
+
+    // Last resort for show pages without a TMDB GUID: search Serializd by title/year.
+    // Season/episode titles ("Season 1", "Pilot") would match the wrong show.
+    if (!showTmdbId && plexMissingTmdbGuid && !hasSeasonEpisodeContext) {
+      fuzzyMatch = await resolveShowByTitleSearch(title, year);
+      if (fuzzyMatch) {
+        showTmdbId = fuzzyMatch.tmdbId;
+        await cacheShowId(plexServerId, itemRatingKeys, { tmdbId: showTmdbId, fuzzyMatch });
+      }
+
+      DEV_DEBUG: logNavigationDebug('fuzzy-title-search', {
+        title,
+        year,
+        matched: !!fuzzyMatch,
+        fuzzyMatch
+      });
     }
 
     if (!showTmdbId) {
@@ -250,8 +318,7 @@ async function processTVShowPage(trigger = 'unknown') {
         title,
         year: normalizedYear,
         plexKey,
-        hasInterceptedServer: !!interceptedPlexServer,
-        hasKnownToken: !!lastKnownPlexToken
+        plexServerId: getCurrentPlexServerId()
       });
 
       schedulePageRetry('no-show-tmdb');
@@ -269,15 +336,13 @@ async function processTVShowPage(trigger = 'unknown') {
       return;
     }
 
+    // Stale entries still render right away; revalidateBadge refreshes them afterwards.
+    const cached = await getCachedRating(showTmdbId, getShowCacheTtl(), { allowStale: true });
+
     let cachedSeasonMapHit = false;
     let fetchedSeasonMapHit = false;
 
-    if (
-      !seasonTmdbId &&
-      seasonNum !== null &&
-      cached?.seasonMap?.[seasonNum] &&
-      (!cached?.tmdbId || !showTmdbId || cached.tmdbId === showTmdbId)
-    ) {
+    if (!seasonTmdbId && seasonNum !== null && cached?.seasonMap?.[seasonNum]) {
       seasonTmdbId = cached.seasonMap[seasonNum];
       cachedSeasonMapHit = true;
     }
@@ -286,9 +351,8 @@ async function processTVShowPage(trigger = 'unknown') {
 
     const hasSeasonContext = seasonNum !== null;
     const canUseCachedSeasonUrl = !hasSeasonContext || !!seasonTmdbId;
-    const cachedMatchesResolvedShow = !cached?.tmdbId || cached.tmdbId === showTmdbId;
 
-    if (cached && cached.rating && !isExpired(cached, CACHE_TTL) && canUseCachedSeasonUrl && cachedMatchesResolvedShow) {
+    if (cached && cached.rating && canUseCachedSeasonUrl) {
       DEV_DEBUG: logIdExtractionDebug('cache-hit', {
         title,
         year: normalizedYear,
@@ -313,15 +377,26 @@ async function processTVShowPage(trigger = 'unknown') {
         return;
       }
 
-      const injected = injectSerializdLink({
+      const badgeData = {
         url,
         tmdbId: showTmdbId,
         rating: cached.rating,
+        details: cached.details,
+        fuzzyMatch,
+        stale: cached.stale,
+        cachedAt: cached.timestamp,
+        episodeLog: getEpisodeLogContext(seasonTmdbId, seasonNum, episodeNum),
         isEpisode: hasSeasonContext
-      });
+      };
+      const injected = injectSerializdLink(badgeData);
       if (injected) {
         lastProcessedKey = pageKey;
         clearRetryState('inject-success-cache-hit');
+
+        // Entries past the show cache TTL (options page) render right away and are refreshed afterwards.
+        if (cached.stale) {
+          revalidateBadge(badgeData);
+        }
       } else {
         schedulePageRetry('inject-failed-cache-hit');
       }
@@ -341,21 +416,56 @@ async function processTVShowPage(trigger = 'unknown') {
       return;
     }
 
+    // Serializd is refusing requests (rate limit/outage): show that instead of a blank badge, retry later.
+    if (ratingData?.unavailable) {
+      const injected = injectSerializdLink({
+        url,
+        tmdbId: showTmdbId,
+        rating: null,
+        fuzzyMatch,
+        unavailable: true,
+        isEpisode: hasSeasonContext
+      });
+      if (injected) {
+        lastProcessedKey = pageKey;
+        clearRetryState('inject-serializd-unavailable');
+        scheduleUnavailableRecheck(pageKey, ratingData.retryAt);
+      } else {
+        schedulePageRetry('inject-failed-serializd-unavailable');
+      }
+      return;
+    }
+
+    // The page loaded but none of the parser strategies recognised it; retrying won't help.
+    if (ratingData?.parserOutdated) {
+      const injected = injectSerializdLink({
+        url,
+        tmdbId: showTmdbId,
+        rating: null,
+        fuzzyMatch,
+        parserOutdated: ratingData.error,
+        isEpisode: hasSeasonContext
+      });
+      if (injected) {
+        lastProcessedKey = pageKey;
+        clearRetryState('inject-serializd-parser-outdated');
+      } else {
+        schedulePageRetry('inject-failed-serializd-parser-outdated');
+      }
+      return;
+    }
+
     if (!seasonTmdbId && seasonNum !== null && ratingData?.seasonMap?.[seasonNum]) {
       seasonTmdbId = ratingData.seasonMap[seasonNum];
       fetchedSeasonMapHit = true;
       url = buildSerializdUrl(showTmdbId, seasonTmdbId, seasonNum, episodeNum);
     }
 
-    const cacheKey = getCacheKey(title, normalizedYear);
-
     if (ratingData && ratingData.rating) {
-      await cacheRating(cacheKey, {
-        tmdbId: showTmdbId,
-        url,
+      await cacheRating(showTmdbId, {
         rating: ratingData.rating,
         seasonMap: ratingData.seasonMap,
-        timestamp: Math.floor(Date.now() / 1000)
+        details: ratingData.details
       });
 
       DEV_DEBUG: logIdExtractionDebug('fresh-fetch-with-rating', {
@@ -386,6 +496,9 @@ async function processTVShowPage(trigger = 'unknown') {
         url,
         tmdbId: showTmdbId,
         rating: ratingData.rating,
+        details: ratingData.details,
+        fuzzyMatch,
+        episodeLog: getEpisodeLogContext(seasonTmdbId, seasonNum, episodeNum),
         isEpisode: hasSeasonContext
       });
       if (injected) {
@@ -395,11 +508,9 @@ async function processTVShowPage(trigger = 'unknown') {
         schedulePageRetry('inject-failed-fresh-with-rating');
       }
     } else {
-      await cacheRating(cacheKey, {
-        tmdbId: showTmdbId,
-        url,
+      await cacheRating(showTmdbId, {
         seasonMap: ratingData?.seasonMap,
-        timestamp: Math.floor(Date.now() / 1000)
+        details: ratingData?.details
       });
 
       DEV_DEBUG: logIdExtractionDebug('fresh-fetch-no-rating', {
@@ -426,7 +537,14 @@ async function processTVShowPage(trigger = 'unknown') {
         return;
       }
 
-      const injected = injectSerializdLink({ url, tmdbId: showTmdbId, isEpisode: hasSeasonContext });
+      const injected = injectSerializdLink({
+        url,
+        tmdbId: showTmdbId,
+        details: ratingData?.details,
+        fuzzyMatch,
+        episodeLog: getEpisodeLogContext(seasonTmdbId, seasonNum, episodeNum),
+        isEpisode: hasSeasonContext
+      });
       if (injected) {
         lastProcessedKey = pageKey;
         clearRetryState('inject-success-fresh-no-rating');
@@ -571,139 +689,464 @@ function schedulePageRetry(reason) {
   }, delay);
 }
 
-let interceptedPlexServer = null;
+// Machine identifier of the server this tab's Plex Web last talked to (as registered by the background script)
+let lastInterceptedServerId = null;
+
+// Library-browse mode: Serializd badges on poster cards in grids, hubs and search results.
+const libraryBadgeQueue = [];
+const libraryLookupsByRatingKey = new Map();
+let activeLibraryLookups = 0;
+let libraryBatchTimeoutId = null;
+let libraryPosterObserver = null;
+
+// Library grid sort/filter by Serializd rating (client-side only; Plex is never written to).
+const LIBRARY_VIEW_MODES = [
+  { value: 'off', label: 'Serializd: Plex order' },
+  { value: 'sort-desc', label: 'Serializd: highest rated first', sort: -1 },
+  { value: 'sort-asc', label: 'Serializd: lowest rated first', sort: 1 },
+  { value: 'min-4', label: 'Serializd ≥ {4}', minRating: 4 },
+  { value: 'min-3', label: 'Serializd ≥ {3}', minRating: 3 },
+  { value: 'unrated', label: 'Unrated on Serializd', unrated: true }
+];
+let libraryViewMode = 'off';
+let libraryViewFrameId = null;
+
+function isDetailsRoute() {
+  return /\/details\?/.test(window.location.href);
+}
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'plexApiIntercepted') {
-    const validatedToken = message.token && isValidPlexToken(message.token) ? message.token : null;
-    if (validatedToken) {
-      lastKnownPlexToken = validatedToken;
+function extractRatingKeyFromHref(href) {
+  if (!href || typeof href !== 'string') return null;
+
+  const match =
+    href.match(/key=%2Flibrary%2Fmetadata%2F(\d+)/i) ||
+    href.match(/key=\/library\/metadata\/(\d+)/i);
+
+  return match ? match[1] : null;
+}
+
+function findPosterCardElement(anchor) {
+  return anchor.closest('[data-testid="cellItem"]') ||
+    anchor.closest('[class*="MetadataPosterCard"]') ||
+    anchor.parentElement;
+}
+
+function findPosterHost(card, anchors) {
+  // Prefer the anchor that wraps the poster artwork over the title link.
+  const posterAnchor = anchors.find((anchor) =>
+    anchor.querySelector('img, [style*="background-image"]')
+  );
+  return posterAnchor || anchors[0] || card;
+}
+
+/**
+ * Find poster cards that link to Plex metadata items and queue the ones
+ * entering the viewport for a Serializd badge. Detail pages are left to
+ * processTVShowPage, which owns their badge.
+ */
+function scanLibraryPosterCards() {
+  if (isDetailsRoute()) {
+    return;
+  }
+
+  if (!libraryPosterObserver) {
+    libraryPosterObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        libraryPosterObserver.unobserve(entry.target);
+        enqueueLibraryPosterCard(entry.target);
+      }
+    }, { rootMargin: '200px' });
+  }
+
+  const anchors = document.querySelectorAll(
+    'a[href*="key=%2Flibrary%2Fmetadata%2F"], a[href*="key=/library/metadata/"]'
+  );
+  const cards = new Map();
+
+  for (const anchor of anchors) {
+    const card = findPosterCardElement(anchor);
+    if (!card) continue;
+
+    const ratingKey = extractRatingKeyFromHref(anchor.getAttribute('href'));
+    if (!ratingKey) continue;
+
+    if (card.dataset.serializdCard) {
+      if (card.dataset.serializdRatingKey === ratingKey) continue;
+
+      // Plex recycled this cell for another item; drop the stale badge.
+      card.querySelectorAll('.serializd-poster-badge').forEach((el) => el.remove());
+      card.dataset.serializdCard = '';
+      delete card.dataset.serializdRatingValue;
     }
 
-    // Keep latest metadata request URL even when server URL itself is not usable.
-    // Fallback key extraction may depend on this when the route lacks key= in location.
-    if (message.url) {
-      window.__LAST_PLEX_API_URL__ = message.url;
+    if (!cards.has(card)) {
+      cards.set(card, { ratingKey, anchors: [] });
     }
+    cards.get(card).anchors.push(anchor);
+  }
 
-    const isUsableServer = message.serverUrl && isValidPlexServerUrl(message.serverUrl);
+  for (const [card, { ratingKey, anchors: cardAnchors }] of cards) {
+    const host = findPosterHost(card, cardAnchors);
+    card.dataset.serializdCard = 'observed';
+    card.dataset.serializdRatingKey = ratingKey;
+    host.classList.add('serializd-poster-host');
+    libraryPosterObserver.observe(card);
+  }
 
-    if (isUsableServer) {
-      interceptedPlexServer = {
-        url: message.serverUrl,
-        token: validatedToken,
-        serverId: message.serverId || null
-      };
-    } else {
-      DEV_DEBUG: logNavigationDebug('ignored-intercepted-server-url', {
-        url: message.url,
-        serverUrl: message.serverUrl || null,
-        hasToken: !!validatedToken
-      });
+  syncLibraryToolbar();
+}
+
+function enqueueLibraryPosterCard(card) {
+  if (card.dataset.serializdCard !== 'observed') return;
+
+  card.dataset.serializdCard = 'queued';
+  libraryBadgeQueue.push(card);
+
+  if (!libraryBatchTimeoutId) {
+    libraryBatchTimeoutId = setTimeout(() => {
+      libraryBatchTimeoutId = null;
+      drainLibraryBadgeQueue();
+    }, LIBRARY_BADGE_BATCH_DELAY_MS);
+  }
+}
+
+function drainLibraryBadgeQueue() {
+  while (activeLibraryLookups < LIBRARY_BADGE_CONCURRENCY && libraryBadgeQueue.length > 0) {
+    const card = libraryBadgeQueue.shift();
+
+    // Plex recycles grid cells while scrolling; skip cards that left the DOM.
+    if (!card.isConnected) continue;
+
+    activeLibraryLookups += 1;
+    processLibraryPosterCard(card).finally(() => {
+      activeLibraryLookups -= 1;
+      drainLibraryBadgeQueue();
+    });
+  }
+}
+
+async function processLibraryPosterCard(card) {
+  const ratingKey = card.dataset.serializdRatingKey;
+
+  try {
+    const result = await lookupLibraryRating(ratingKey);
+
+    if (!result) {
+      // No server context yet: let a later scan pick the card up again.
+      card.dataset.serializdCard = '';
+      return;
+    }
+
+    // Cell was recycled for a different item while the lookup was in flight.
+    if (!card.isConnected || card.dataset.serializdRatingKey !== ratingKey) {
+      return;
+    }
+
+    card.dataset.serializdCard = 'done';
+    card.dataset.serializdRatingValue = typeof result.rating === 'number' ? String(result.rating) : 'none';
+
+    if (result.showTmdbId) {
+      injectPosterBadge(card, result);
     }
+  } catch (error) {
+    card.dataset.serializdCard = 'done';
+    card.dataset.serializdRatingValue = 'none';
+    console.warn('Serializd-Plex: Poster badge lookup failed:', getSafeErrorMessage(error));
+  } finally {
+    scheduleLibraryViewUpdate();
   }
-  return false;
-});
+}
 
-function getServerCacheKey(serverId) {
-  return `serializd_plex_server_${serverId}`;
+function isLibraryGridRoute() {
+  return !isDetailsRoute() && /com\.plexapp\.plugins\.library\?/.test(window.location.href);
 }
 
-function getServerIdFromLocation() {
-  const match = window.location.href.match(/\/server\/([^\/\?&]+)/);
-  return match ? match[1] : null;
+/**
+ * The grid is the element holding most of the poster cards (hubs above it hold only a few).
+ */
+function findLibraryGrid() {
+  const counts = new Map();
+  for (const card of document.querySelectorAll('[data-serializd-card]')) {
+    const parent = card.parentElement;
+    if (parent) counts.set(parent, (counts.get(parent) || 0) + 1);
+  }
+
+  let grid = null;
+  let max = 0;
+  for (const [parent, count] of counts) {
+    if (count > max) {
+      grid = parent;
+      max = count;
+    }
+  }
+  return grid;
+}
+
+function formatLibraryViewLabel(mode) {
+  return mode.label.replace(/\{(\d+)\}/, (_, rating) => formatRating(Number(rating), { ...currentSettings, ratingPrecision: 1 }));
 }
 
-function getCurrentTimestamp() {
-  return Math.floor(Date.now() / 1000);
+/**
+ * Inject the sort/filter control next to Plex's sort menu on TV library grids (or above the grid),
+ * and remove it everywhere else.
+ */
+function syncLibraryToolbar() {
+  const existing = document.querySelector('.serializd-library-toolbar');
+  const grid = isLibraryGridRoute() ? findLibraryGrid() : null;
+
+  if (!grid) {
+    if (existing) {
+      existing.remove();
+      libraryViewMode = 'off';
+    }
+    return;
+  }
+
+  if (existing?.isConnected) return;
+
+  const toolbar = document.createElement('div');
+  toolbar.classList.add('serializd-library-toolbar');
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Sort or filter by Serializd rating');
+  for (const mode of LIBRARY_VIEW_MODES) {
+    select.add(new Option(formatLibraryViewLabel(mode), mode.value));
+  }
+  select.value = libraryViewMode;
+  select.addEventListener('change', () => {
+    libraryViewMode = select.value;
+
+    DEV_DEBUG: logNavigationDebug('library-view-mode', { mode: libraryViewMode });
+
+    applyLibraryView();
+  });
+  toolbar.appendChild(select);
+
+  const sortButton = document.querySelector('[data-testid="sortMenuButton"], button[aria-label^="Sort"]');
+  if (sortButton?.parentElement) {
+    sortButton.insertAdjacentElement('afterend', toolbar);
+  } else {
+    grid.insertAdjacentElement('beforebegin', toolbar);
+  }
+
+  if (libraryViewMode !== 'off') {
+    applyLibraryView();
+  }
 }
 
-function isExpired(entry, ttl) {
-  if (!entry?.timestamp) return true;
-  return getCurrentTimestamp() - entry.timestamp > ttl;
+function scheduleLibraryViewUpdate() {
+  if (libraryViewMode === 'off' || libraryViewFrameId) return;
+
+  libraryViewFrameId = requestAnimationFrame(() => {
+    libraryViewFrameId = null;
+    applyLibraryView();
+  });
 }
 
-function isValidServerCacheEntry(entry) {
-  return !!(
-    entry &&
-    typeof entry === 'object' &&
-    entry.address &&
-    entry.port &&
-    entry.scheme
-  );
+function getCardRatingValue(card) {
+  const value = card.dataset.serializdRatingValue;
+  if (value === undefined) return undefined; // lookup pending
+  return value === 'none' ? null : Number(value);
 }
 
-function pruneCacheEntries(cache) {
-  const entries = Object.entries(cache);
-  if (entries.length <= MAX_CACHE_ENTRIES) return 0;
+/**
+ * Reorder/filter the rendered grid cards by Serializd rating with CSS order/hidden classes.
+ * Cards whose rating is still loading stay visible (at the end when sorting) until it arrives.
+ */
+function applyLibraryView() {
+  const grid = findLibraryGrid();
+  if (!grid) return;
+
+  const mode = LIBRARY_VIEW_MODES.find((entry) => entry.value === libraryViewMode) || LIBRARY_VIEW_MODES[0];
+  const cards = Array.from(grid.children).filter((child) => child.dataset.serializdCard !== undefined);
+
+  if (mode.value === 'off') {
+    grid.classList.remove('serializd-sorted-grid');
+    for (const card of cards) {
+      card.style.order = '';
+      card.classList.remove('serializd-filtered-out');
+    }
+    return;
+  }
+
+  // Every rendered card needs a rating, not only the ones scrolled into view.
+  for (const card of cards) {
+    if (card.dataset.serializdCard === 'observed') {
+      libraryPosterObserver?.unobserve(card);
+      enqueueLibraryPosterCard(card);
+    }
+  }
+
+  grid.classList.toggle('serializd-sorted-grid', !!mode.sort);
 
-  entries.sort(([, a], [, b]) => (a.timestamp || 0) - (b.timestamp || 0));
+  const ranked = cards.map((card, index) => ({ card, index, rating: getCardRatingValue(card) }));
 
-  const toRemove = entries.length - MAX_CACHE_ENTRIES;
-  for (let i = 0; i < toRemove; i++) {
-    delete cache[entries[i][0]];
+  if (mode.sort) {
+    ranked.sort((a, b) => {
+      const aKnown = typeof a.rating === 'number';
+      const bKnown = typeof b.rating === 'number';
+      if (aKnown !== bKnown) return aKnown ? -1 : 1;
+      if (!aKnown) return a.index - b.index;
+      return (a.rating - b.rating) * mode.sort || a.index - b.index;
+    });
   }
 
-  return toRemove;
+  ranked.forEach(({ card, rating }, order) => {
+    card.style.order = mode.sort ? String(order) : '';
+
+    let hidden = false;
+    if (mode.minRating !== undefined && rating !== undefined) {
+      hidden = rating === null || rating < mode.minRating;
+    } else if (mode.unrated && rating !== undefined) {
+      hidden = rating !== null;
+    }
+    card.classList.toggle('serializd-filtered-out', hidden);
+  });
 }
 
-async function getCachedServerInfo(serverId) {
-  try {
-    const result = await chrome.storage.local.get('cached_servers');
-    const cache = result.cached_servers || {};
-    const key = getServerCacheKey(serverId);
-    const entry = cache[key];
-
-    if (entry) {
-      if (isExpired(entry, SERVER_CACHE_TTL)) {
-        const newCache = { ...cache };
-        delete newCache[key];
-        await chrome.storage.local.set({ cached_servers: newCache });
-        return null;
+/**
+ * Resolve a Plex ratingKey to its show's Serializd rating.
+ * Lookups are shared per ratingKey so duplicate cards (hubs + grid) cost one request.
+ * @param {string} ratingKey - Plex ratingKey from the poster card link
+ * @returns {Promise<{showTmdbId:number|null, rating:number|null, url:string|null}|null>}
+ *   null when no Plex server context is available yet
+ */
+function lookupLibraryRating(ratingKey) {
+  if (libraryLookupsByRatingKey.has(ratingKey)) {
+    return libraryLookupsByRatingKey.get(ratingKey);
+  }
+
+  const lookup = (async () => {
+    // Same show cache as the details page: Plex item → show TMDB ID, then the show's Serializd data.
+    const plexServerId = getCurrentPlexServerId();
+    let showTmdbId = (await getCachedShowId(plexServerId, [ratingKey], getShowCacheTtl()))?.tmdbId || null;
+
+    if (!showTmdbId) {
+      const plexData = await fetchTMDBIdFromPlex(`/library/metadata/${ratingKey}`);
+
+      if (!plexData) {
+        if (!lastInterceptedServerId && !getServerIdFromLocation()) {
+          return null;
+        }
+        return { showTmdbId: null, rating: null, url: null };
       }
 
-      if (!isValidServerCacheEntry(entry)) {
-        const newCache = { ...cache };
-        delete newCache[key];
-        await chrome.storage.local.set({ cached_servers: newCache });
-        return null;
+      if (!plexData.showTmdbId) {
+        return { showTmdbId: null, rating: null, url: null };
       }
 
-      return entry;
+      showTmdbId = plexData.showTmdbId;
+      await cacheShowId(plexServerId, [ratingKey], { tmdbId: showTmdbId });
     }
 
-    return null;
-  } catch (error) {
-    return null;
+    const url = buildSerializdUrl(showTmdbId, null, null, null);
+    const cached = await getCachedRating(showTmdbId, getShowCacheTtl(), { allowStale: true });
+    if (cached?.rating && !cached.stale) {
+      return { showTmdbId, rating: cached.rating, unavailable: false, url };
+    }
+
+    const ratingData = await fetchSerializdRating(showTmdbId);
+    if (ratingData?.success && ratingData.rating) {
+      await cacheRating(showTmdbId, {
+        rating: ratingData.rating,
+        seasonMap: ratingData.seasonMap,
+        details: ratingData.details
+      });
+    }
+
+    // A stale rating beats an empty badge while Serializd can't be reached.
+    const rating = ratingData?.success ? ratingData.rating : (cached?.rating ?? null);
+
+    return {
+      showTmdbId,
+      rating,
+      unavailable: !!ratingData?.unavailable,
+      url
+    };
+  })();
+
+  libraryLookupsByRatingKey.set(ratingKey, lookup);
+
+  // Don't memoize missing server context or a paused Serializd; the next scan should retry.
+  lookup.then((result) => {
+    if (!result || result.unavailable) libraryLookupsByRatingKey.delete(ratingKey);
+  }, () => libraryLookupsByRatingKey.delete(ratingKey));
+
+  return lookup;
+}
+
+/**
+ * The icon is web-accessible only on the built-in Plex Web origins (a wider list lets any site detect the
+ * extension). On custom hosts the background script hands it over as a data URL instead.
+ */
+function loadPlexIconUrl() {
+  if (BUILT_IN_PLEX_WEB_ORIGINS.includes(window.location.origin)) {
+    return Promise.resolve();
   }
+
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getPlexIconDataUrl' }, (response) => {
+      if (!chrome.runtime.lastError && response?.dataUrl) {
+        plexIconUrl = response.dataUrl;
+      }
+      resolve();
+    });
+  });
 }
 
-async function cacheServerInfo(serverId, serverInfo) {
-  try {
-    if (!serverInfo.address || !serverInfo.port || !serverInfo.scheme) {
-      return false;
-    }
+function injectPosterBadge(card, result) {
+  const host = card.querySelector('.serializd-poster-host') || card;
+  host.querySelectorAll('.serializd-poster-badge').forEach((el) => el.remove());
 
-    const result = await chrome.storage.local.get('cached_servers');
-    const cache = result.cached_servers || {};
-    const key = getServerCacheKey(serverId);
+  const badge = document.createElement('span');
+  badge.classList.add('serializd-poster-badge');
+  badge.title = result.unavailable ? SERIALIZD_UNAVAILABLE_TITLE : 'Serializd rating';
+  badge.classList.toggle('serializd-unavailable', !!result.unavailable);
 
-    pruneCacheEntries(cache);
+  const logo = document.createElement('img');
+  logo.src = plexIconUrl;
+  logo.setAttribute('width', '12px');
+  logo.setAttribute('height', '12px');
+  logo.classList.add('serializd-logo');
+  badge.appendChild(logo);
 
-    cache[key] = {
-      address: serverInfo.address,
-      port: serverInfo.port,
-      scheme: serverInfo.scheme,
-      localAddresses: serverInfo.localAddresses,
-      timestamp: getCurrentTimestamp(),
-      serverName: serverInfo.serverName || null
-    };
+  if (typeof result.rating === 'number') {
+    const ratingSpan = document.createElement('span');
+    ratingSpan.classList.add('serializd-rating');
+    ratingSpan.textContent = formatRating(result.rating, currentSettings);
+    badge.appendChild(ratingSpan);
+  }
 
-    await chrome.storage.local.set({ cached_servers: cache });
-    return true;
-  } catch (error) {
-    return false;
+  host.appendChild(badge);
+
+  DEV_DEBUG: logNavigationDebug('poster-badge-injected', {
+    ratingKey: card.dataset.serializdRatingKey,
+    showTmdbId: result.showTmdbId,
+    hasRating: typeof result.rating === 'number'
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'plexApiIntercepted') {
+    // Keep latest metadata request URL even when the server itself is not usable.
+    // Fallback key extraction may depend on this when the route lacks key= in location.
+    if (message.url) {
+      window.__LAST_PLEX_API_URL__ = message.url;
+    }
+
+    if (message.serverId) {
+      lastInterceptedServerId = message.serverId;
+    } else {
+      DEV_DEBUG: logNavigationDebug('ignored-intercepted-server-url', { url: message.url });
+    }
   }
+  return false;
+});
+
+function getServerIdFromLocation() {
+  const match = window.location.href.match(/\/server\/([^\/\?&]+)/);
+  return match ? match[1] : null;
 }
 
 function getPlexMetadataKey() {
@@ -757,217 +1200,138 @@ function getPlexMetadataKey() {
   return null;
 }
 
-/**
- * Build a safe Plex API URL from components
- * @param {string} scheme - URL scheme (http/https)
- * @param {string} address - Server address (IP or hostname)
- * @param {string|number} port - Server port
- * @param {string} plexKey - Plex metadata key (e.g., "/library/metadata/12345")
- * @returns {string|null} Constructed URL or null if invalid
- */
-function buildPlexApiUrl(scheme, address, port, plexKey) {
-  try {
-    // Validate scheme
-    if (!['http', 'https'].includes(scheme)) {
-      return null;
-    }
-
-    // Validate port is numeric
-    const portNum = parseInt(port, 10);
-    if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
-      return null;
-    }
+async function fetchPlexMetadataViaBackground(url, token) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { action: 'fetchPlexMetadata', url, token },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      }
+    );
+  });
+}
 
-    // Validate address doesn't contain path separators or query strings
-    if (address.includes('/') || address.includes('?') || address.includes('#')) {
-      return null;
-    }
+// The page URL names the server being browsed; other tabs may be on other servers.
+function getCurrentPlexServerId() {
+  return getServerIdFromLocation() || lastInterceptedServerId || null;
+}
 
-    // Build URL safely using URL API
-    const baseUrl = `${scheme}://${address}:${portNum}`;
-    const url = new URL(plexKey, baseUrl);
-
-    // Add query parameters safely
-    url.searchParams.set('includeGuids', '1');
-    url.searchParams.set('includeExternalMedia', '1');
-
-    return url.toString();
-  } catch (e) {
-    return null;
-  }
-}
-
-function buildPlexApiUrlFromExisting(apiUrl, plexKey) {
+// Plex Web keeps the signed-in account's plex.tv token in localStorage; discovery needs it for shared servers.
+function getPlexAccountToken() {
   try {
-    const url = new URL(apiUrl);
-    url.pathname = plexKey;
-    url.searchParams.set('includeGuids', '1');
-    url.searchParams.set('includeExternalMedia', '1');
-    return url.toString();
+    return window.localStorage.getItem('myPlexAccessToken');
   } catch (e) {
     return null;
   }
 }
 
-function extractRelatedPlexKeys(xmlText) {
-  const keys = [];
+/**
+ * Connections and token for a server, from the background script's registry or plex.tv discovery.
+ * @returns {Promise<{connections:string[], token:string|null, discovered:boolean}|null>}
+ */
+async function getPlexServer(serverId) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getPlexServer', serverId, accountToken: getPlexAccountToken() }, (response) => {
+      resolve(chrome.runtime.lastError || response?.error ? null : response);
+    });
+  });
+}
 
-  const grandparentMatch = xmlText.match(/grandparentRatingKey=["'](\d+)["']/);
-  if (grandparentMatch) {
-    keys.push(`/library/metadata/${grandparentMatch[1]}`);
-  }
+/**
+ * API URLs (one per connection, best first) and token for fetching a Plex item ourselves.
+ * The background script knows the servers Plex Web talked to and discovers the others through plex.tv.
+ * @returns {Promise<{serverId:string, token:string, targets:Array<{connection:string, apiUrl:string}>}|null>}
+ */
+async function resolvePlexApiTargets(plexKey) {
+  const serverId = getCurrentPlexServerId();
+  const server = serverId ? await getPlexServer(serverId) : null;
+  const token = server?.token;
 
-  const parentMatch = xmlText.match(/parentRatingKey=["'](\d+)["']/);
-  if (parentMatch) {
-    const parentKey = `/library/metadata/${parentMatch[1]}`;
-    if (!keys.includes(parentKey)) {
-      keys.push(parentKey);
+  const targets = (server?.connections || []).map((connection) => {
+    try {
+      const apiUrl = new URL(plexKey, connection);
+      apiUrl.searchParams.set('includeGuids', '1');
+      apiUrl.searchParams.set('includeExternalMedia', '1');
+      return { connection, apiUrl: apiUrl.toString() };
+    } catch (e) {
+      return null;
     }
-  }
-
-  return keys;
-}
+  }).filter(Boolean);
 
-async function fetchPlexMetadataViaBackground(url, token) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(
-      { action: 'fetchPlexMetadata', url, token },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else if (response.error) {
-          reject(new Error(response.error));
-        } else {
-          resolve(response);
-        }
-      }
-    );
+  DEV_DEBUG: logNavigationDebug('plex-fetch-context', {
+    plexKey,
+    serverId,
+    discovered: !!server?.discovered,
+    connections: targets.map((target) => target.connection)
   });
-}
-
-async function fetchTMDBIdFromPlex(plexKey) {
-  const locationServerId = getServerIdFromLocation();
 
-  const url = interceptedPlexServer?.url || (locationServerId ? `https://plex.tv/api/servers/${locationServerId}` : null);
-  const token = interceptedPlexServer?.token || lastKnownPlexToken;
-  const serverId = interceptedPlexServer?.serverId || locationServerId || null;
-
-  if (!url || !token) {
+  if (!targets.length || !token) {
     DEV_DEBUG: logNavigationDebug('plex-fetch-missing-server-context', {
       href: window.location.href,
       plexKey,
-      hasInterceptedServer: !!interceptedPlexServer,
-      hasUrl: !!url,
+      connectionCount: targets.length,
       hasToken: !!token,
-      locationServerId
+      serverId
     });
     return null;
   }
 
-  let apiUrl;
-  const isPlexTvServerApi = /^https:\/\/plex\.tv\/api\/servers\//i.test(url);
-
-  DEV_DEBUG: logNavigationDebug('plex-fetch-context', {
-    plexKey,
-    serverId,
-    baseUrl: url,
-    isPlexTvServerApi
-  });
-
-  if (serverId && isPlexTvServerApi) {
-    const cachedServerInfo = await getCachedServerInfo(serverId);
-
-    if (cachedServerInfo) {
-      const { address, port, scheme } = cachedServerInfo;
-      apiUrl = buildPlexApiUrl(scheme, address, port, plexKey);
-    } else {
-      try {
-        const connectionsResponse = await fetch(url, {
-          headers: {
-            'X-Plex-Token': token
-          }
-        });
-
-        if (!connectionsResponse.ok) {
-          return null;
-        }
-
-        const connectionsText = await connectionsResponse.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(connectionsText, 'text/xml');
-
-        let connection = xmlDoc.querySelector('Connection');
-        if (!connection) {
-          connection = xmlDoc.querySelector('Server');
-        }
+  return { serverId, token, targets };
+}
 
-        if (connection) {
-          let serverAddress = connection.getAttribute('address');
-          let serverPort = connection.getAttribute('port');
-          const scheme = connection.getAttribute('scheme') || connection.getAttribute('protocol') || 'http';
-          const localAddresses = connection.getAttribute('localAddresses');
-          const serverName = connection.getAttribute('name') || connection.getAttribute('serverName') || null;
+/**
+ * Parsed item the background script captured from Plex Web's own request for plexKey in this tab.
+ * @returns {Promise<Object|null>} PlexItem
+ */
+async function getCapturedPlexItem(plexKey) {
+  const ratingKey = getRatingKeyFromPlexKey(plexKey);
+  if (!ratingKey) return null;
 
-          if (!serverAddress && localAddresses) {
-            serverAddress = localAddresses;
-          }
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getCapturedPlexItem', ratingKey }, (response) => {
+      resolve(chrome.runtime.lastError ? null : response?.item || null);
+    });
+  });
+}
 
-          if (serverPort === '0' || !serverPort) {
-            serverPort = '32400';
-          }
+/**
+ * Load a Plex item: from the captured Plex Web response when there is one, otherwise from the server.
+ * @returns {Promise<Object|null>} PlexItem
+ */
+async function fetchPlexItem(plexKey) {
+  const captured = await getCapturedPlexItem(plexKey);
+  if (captured) {
+    DEV_DEBUG: logNavigationDebug('plex-item-from-capture', { plexKey, type: captured.type });
+    return captured;
+  }
 
-          if (serverAddress && serverPort && scheme) {
-            await cacheServerInfo(serverId, {
-              address: serverAddress,
-              port: serverPort,
-              scheme: scheme,
-              localAddresses: localAddresses,
-              serverName: serverName
-            });
+  const server = await resolvePlexApiTargets(plexKey);
+  if (!server) return null;
 
-            apiUrl = buildPlexApiUrl(scheme, serverAddress, serverPort, plexKey);
-          } else {
-            return null;
-          }
-        } else {
-          return null;
-        }
-      } catch (error) {
-        return null;
-      }
-    }
-  } else {
-    // For direct Plex server URLs, append plexKey to base URL.
-    // Also used when falling back to location-derived server context.
+  for (const [index, { connection, apiUrl }] of server.targets.entries()) {
+    let response;
     try {
-      const baseUrl = new URL(url);
-      const finalUrl = new URL(plexKey, baseUrl);
-      finalUrl.searchParams.set('includeGuids', '1');
-      finalUrl.searchParams.set('includeExternalMedia', '1');
-      apiUrl = finalUrl.toString();
+      response = await fetchPlexMetadataViaBackground(apiUrl, server.token);
+    } catch (error) {
+      // The server answered with an error status; another connection won't do better.
+      if (PLEX_HTTP_ERROR_PATTERN.test(error?.message || '') || index === server.targets.length - 1) {
+        throw error;
+      }
 
-      DEV_DEBUG: logNavigationDebug('plex-direct-api-url-built', {
-        plexKey,
-        baseUrl: url,
-        apiUrl
-      });
-    } catch (e) {
-      apiUrl = null;
+      DEV_DEBUG: logNavigationDebug('plex-connection-failover', { plexKey, connection });
+      // Best-effort; the background script moves the connection to the end of the cached list.
+      chrome.runtime.sendMessage(
+        { action: 'reportPlexConnectionFailure', serverId: server.serverId, connection },
+        () => chrome.runtime.lastError
+      );
+      continue;
     }
-  }
-
-  if (!apiUrl) {
-    DEV_DEBUG: logNavigationDebug('plex-fetch-no-api-url', {
-      plexKey,
-      baseUrl: url,
-      serverId,
-      isPlexTvServerApi
-    });
-    return null;
-  }
-
-  try {
-    const response = await fetchPlexMetadataViaBackground(apiUrl, token);
 
     if (!response.success) {
       DEV_DEBUG: logNavigationDebug('plex-fetch-unsuccessful-response', {
@@ -978,19 +1342,36 @@ async function fetchTMDBIdFromPlex(plexKey) {
       return null;
     }
 
-    const primaryData = extractTMDBIdFromPlexXml(response.text);
+    return parsePlexItem(response.text);
+  }
+
+  return null;
+}
+
+async function fetchTMDBIdFromPlex(plexKey) {
+  try {
+    const item = await fetchPlexItem(plexKey);
+    if (!item) {
+      return null;
+    }
+
+    // Returned with every result so callers can key caches by the show's ratingKey.
+    const showRatingKey = getShowRatingKey(item);
+
+    const primaryData = extractTMDBIdFromPlexItem(item);
     if (primaryData?.showTmdbId) {
-      return primaryData;
+      return { ...primaryData, showRatingKey };
     }
 
-    const relatedKeys = extractRelatedPlexKeys(response.text);
+    let showExternalIds = primaryData?.showExternalIds || null;
+
+    const relatedKeys = getRelatedPlexKeys(item);
     if (!relatedKeys.length) {
       DEV_DEBUG: logNavigationDebug('plex-no-related-keys-for-fallback', {
         plexKey,
-        apiUrl,
         hadPrimaryData: !!primaryData
       });
-      return primaryData;
+      return { ...await resolveViaExternalIds(primaryData, showExternalIds), showRatingKey };
     }
 
     DEV_DEBUG: logNavigationDebug('plex-fallback-related-keys', {
@@ -1000,20 +1381,19 @@ async function fetchTMDBIdFromPlex(plexKey) {
     });
 
     for (const relatedKey of relatedKeys) {
-      const relatedApiUrl = buildPlexApiUrlFromExisting(apiUrl, relatedKey);
-      if (!relatedApiUrl) continue;
-
       try {
-        const relatedResponse = await fetchPlexMetadataViaBackground(relatedApiUrl, token);
-        if (!relatedResponse.success) continue;
+        const relatedData = extractTMDBIdFromPlexItem(await fetchPlexItem(relatedKey));
+        if (!showExternalIds && relatedData?.showExternalIds) {
+          showExternalIds = relatedData.showExternalIds;
+        }
 
-        const relatedData = extractTMDBIdFromPlexXml(relatedResponse.text);
         if (relatedData?.showTmdbId) {
           return {
             showTmdbId: relatedData.showTmdbId,
             seasonTmdbId: primaryData?.seasonTmdbId ?? relatedData.seasonTmdbId ?? null,
             seasonNum: primaryData?.seasonNum ?? relatedData.seasonNum ?? null,
-            episodeNum: primaryData?.episodeNum ?? relatedData.episodeNum ?? null
+            episodeNum: primaryData?.episodeNum ?? relatedData.episodeNum ?? null,
+            showRatingKey
           };
         }
       } catch (relatedError) {
@@ -1024,11 +1404,10 @@ async function fetchTMDBIdFromPlex(plexKey) {
     DEV_DEBUG: logNavigationDebug('plex-related-fallback-exhausted', {
       plexKey,
       relatedKeys,
-      apiUrl,
       hadPrimaryData: !!primaryData
     });
 
-    return primaryData;
+    return { ...await resolveViaExternalIds(primaryData, showExternalIds), showRatingKey };
   } catch (error) {
     console.error('Serializd-Plex: Error fetching from Plex API:', getSafeErrorMessage(error));
     DEV_RELAY: relayDebugLog('error', 'fetchTMDBIdFromPlex', {
@@ -1042,98 +1421,61 @@ async function fetchTMDBIdFromPlex(plexKey) {
 }
 
 /**
- * Extract TMDB IDs and season/episode context from Plex metadata XML.
- * - showTmdbId: TMDB show ID used in Serializd show URLs
- * - seasonTmdbId: TMDB season ID used in Serializd season URLs
- * - seasonNum/episodeNum: numeric season + episode numbers from Plex
- * @param {string} xmlText - Plex API response XML
- * @returns {{showTmdbId:number|null, seasonTmdbId:number|null, seasonNum:number|null, episodeNum:number|null}|null}
+ * Map show-level TVDB/IMDb IDs to a TMDB show ID through the background ID-mapping layer.
+ * Falls through to withMissingTmdbGuid when there is nothing to map or no mapping exists.
  */
-function extractTMDBIdFromPlexXml(xmlText) {
-  const getIntAttr = (name) => {
-    const match = xmlText.match(new RegExp(`${name}=["'](\\d+)["']`));
-    return match ? parseInt(match[1], 10) : null;
-  };
-
-  const getStringAttr = (name) => {
-    const match = xmlText.match(new RegExp(`${name}=["']([^"']+)["']`));
-    return match ? match[1] : null;
-  };
-
-  const parseTmdbId = (guidValue) => {
-    if (!guidValue || typeof guidValue !== 'string') return null;
-    const match = guidValue.match(/tmdb:\/\/(\d+)/i);
-    return match ? parseInt(match[1], 10) : null;
-  };
-
-  const typeMatch = xmlText.match(/type=["'](movie|show|season|episode)["']/);
-  const contentType = typeMatch ? typeMatch[1] : null;
-
-  if (contentType === 'movie') {
-    return null;
-  }
-
-  const ownGuidAttr = getStringAttr('guid');
-  const parentGuidAttr = getStringAttr('parentGuid');
-  const grandparentGuidAttr = getStringAttr('grandparentGuid');
-
-  const guidElementMatch = xmlText.match(/<Guid[^>]*id=["']tmdb:\/\/(\d+)["']/i);
-  const ownGuidElementTmdbId = guidElementMatch ? parseInt(guidElementMatch[1], 10) : null;
-
-  let showTmdbId = null;
-  let seasonTmdbId = null;
-  let seasonNum = null;
-  let episodeNum = null;
-
-  if (contentType === 'show') {
-    showTmdbId = ownGuidElementTmdbId || parseTmdbId(ownGuidAttr);
-  } else if (contentType === 'season') {
-    seasonNum = getIntAttr('index');
-    seasonTmdbId = ownGuidElementTmdbId || parseTmdbId(ownGuidAttr);
-    showTmdbId = parseTmdbId(parentGuidAttr);
-  } else if (contentType === 'episode') {
-    seasonNum = getIntAttr('parentIndex');
-    episodeNum = getIntAttr('index');
-
-    showTmdbId = parseTmdbId(grandparentGuidAttr);
-    seasonTmdbId = parseTmdbId(parentGuidAttr);
-  }
+async function resolveViaExternalIds(primaryData, showExternalIds) {
+  if (showExternalIds) {
+    try {
+      const mapping = await new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(
+          { action: 'resolveExternalIds', externalIds: showExternalIds },
+          (response) => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else if (response.error) {
+              reject(new Error(response.error));
+            } else {
+              resolve(response);
+            }
+          }
+        );
+      });
 
-  // Fallbacks for show-level items only.
-  // For season/episode items, own tmdb GUID may be season/episode-level and not the show ID.
-  if (!showTmdbId && (contentType === 'show' || !contentType)) {
-    showTmdbId = ownGuidElementTmdbId || parseTmdbId(ownGuidAttr);
-  }
+      DEV_DEBUG: logNavigationDebug('plex-external-id-mapping', {
+        showExternalIds,
+        tmdbId: mapping?.tmdbId ?? null,
+        source: mapping?.source ?? null
+      });
 
-  if (!showTmdbId && (contentType === 'show' || !contentType)) {
-    try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-      const guidElements = xmlDoc.querySelectorAll('Guid');
-
-      for (const guidEl of guidElements) {
-        const guidId = guidEl.getAttribute('id');
-        const tmdbId = parseTmdbId(guidId);
-        if (tmdbId) {
-          showTmdbId = tmdbId;
-          break;
-        }
+      if (mapping?.tmdbId) {
+        return {
+          showTmdbId: mapping.tmdbId,
+          seasonTmdbId: primaryData?.seasonTmdbId ?? null,
+          seasonNum: primaryData?.seasonNum ?? null,
+          episodeNum: primaryData?.episodeNum ?? null
+        };
       }
-    } catch (xmlError) {
-      // Ignore XML parsing errors
+    } catch (error) {
+      console.warn('Serializd-Plex: External ID mapping failed:', getSafeErrorMessage(error));
     }
   }
 
-  const hasContext =
-    seasonTmdbId !== null ||
-    seasonNum !== null ||
-    episodeNum !== null;
-
-  if (!showTmdbId && !hasContext) {
-    return null;
-  }
+  return withMissingTmdbGuid(primaryData);
+}
 
-  return { showTmdbId, seasonTmdbId, seasonNum, episodeNum };
+/**
+ * Plex answered, but neither the item nor its parents carry a tmdb:// GUID
+ * (e.g. legacy TheTVDB agent). Flag it so callers can try a title/year search.
+ */
+function withMissingTmdbGuid(primaryData) {
+  return {
+    showTmdbId: null,
+    seasonTmdbId: primaryData?.seasonTmdbId ?? null,
+    seasonNum: primaryData?.seasonNum ?? null,
+    episodeNum: primaryData?.episodeNum ?? null,
+    missingTmdbGuid: true
+  };
 }
 
 function extractTitle() {
@@ -1216,21 +1558,21 @@ function extractSeasonEpisodeContextFromDom() {
   return { seasonNum, episodeNum, sourceText: sourceText.slice(0, 400) };
 }
 
-function getCacheKey(title, year) {
-  return `${title}-${year}`;
+function getRatingKeyFromPlexKey(plexKey) {
+  return plexKey?.match(/^\/library\/metadata\/(\d+)/)?.[1] || null;
 }
 
 function getPageContextKey(title, year, plexKey) {
   if (plexKey) {
     return `plex:${plexKey}`;
   }
-  return getCacheKey(title, year);
+  return `${title}-${year}`;
 }
 
 function buildSerializdUrl(showTmdbId, seasonTmdbId, seasonNum, episodeNum) {
   let url = `https://www.serializd.com/show/${showTmdbId}`;
 
-  if (seasonNum === null || seasonTmdbId === null) {
+  if (!currentSettings.deepLinks || seasonNum === null || seasonTmdbId === null) {
     return url;
   }
 
@@ -1243,46 +1585,50 @@ function buildSerializdUrl(showTmdbId, seasonTmdbId, seasonNum, episodeNum) {
   return url;
 }
 
-async function cacheRating(key, data) {
-  try {
-    const result = await chrome.storage.local.get('cached_shows');
-    const cache = result.cached_shows || {};
-    cache[key] = {
-      ...data,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
-    await chrome.storage.local.set({ cached_shows: cache });
-  } catch (error) {
-    console.error('Serializd-Plex: Cache write error:', getSafeErrorMessage(error));
-  }
-}
-
-async function getCachedRating(title, year) {
+async function fetchSerializdRating(tmdbId) {
   try {
-    const result = await chrome.storage.local.get('cached_shows');
-    const cache = result.cached_shows || {};
-    const key = getCacheKey(title, year);
-    const entry = cache[key];
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        { action: 'fetchSerializdRating', tmdbId },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (response.error && !('success' in response)) {
+            reject(new Error(response.error));
+          } else {
+            resolve(response);
+          }
+        }
+      );
+    });
 
-    if (entry && !isExpired(entry, CACHE_TTL)) {
-      return entry;
+    // Return response even when success=false because it may still include seasonMap.
+    if (response && typeof response === 'object') {
+      return response;
     }
+
     return null;
   } catch (error) {
-    console.error('Serializd-Plex: Cache read error:', getSafeErrorMessage(error));
+    console.error('Serializd-Plex: Error fetching rating:', getSafeErrorMessage(error));
     return null;
   }
 }
 
-async function fetchSerializdRating(tmdbId) {
+/**
+ * Resolve a show's TMDB ID by searching Serializd for the Plex title/year.
+ * @param {string} title - Title from the Plex page
+ * @param {string|null} year - Year from the Plex page
+ * @returns {Promise<{tmdbId:number, score:number, matchedTitle:string, matchedYear:number|null}|null>}
+ */
+async function resolveShowByTitleSearch(title, year) {
   try {
     const response = await new Promise((resolve, reject) => {
       chrome.runtime.sendMessage(
-        { action: 'fetchSerializdRating', tmdbId },
+        { action: 'searchSerializdShow', title, year },
         (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
-          } else if (response.error) {
+          } else if (response.error && !('success' in response)) {
             reject(new Error(response.error));
           } else {
             resolve(response);
@@ -1291,14 +1637,18 @@ async function fetchSerializdRating(tmdbId) {
       );
     });
 
-    // Return response even when success=false because it may still include seasonMap.
-    if (response && typeof response === 'object') {
-      return response;
+    if (!response?.success || !response.tmdbId) {
+      return null;
     }
 
-    return null;
+    return {
+      tmdbId: response.tmdbId,
+      score: response.score,
+      matchedTitle: response.matchedTitle,
+      matchedYear: response.matchedYear ?? null
+    };
   } catch (error) {
-    console.error('Serializd-Plex: Error fetching rating:', getSafeErrorMessage(error));
+    console.error('Serializd-Plex: Error searching Serializd by title:', getSafeErrorMessage(error));
     return null;
   }
 }
@@ -1327,11 +1677,12 @@ function findSeasonEpisodeInlineAnchor() {
 }
 
 function injectSerializdLink(data) {
-  let injectionTarget = document.querySelector('[data-testid="metadata-ratings"]');
+  const placeBelowTitle = currentSettings.badgePlacement === 'title';
+  let injectionTarget = placeBelowTitle ? null : document.querySelector('[data-testid="metadata-ratings"]');
   let injectionMode = 'metadata-ratings';
   let inlineAnchor = null;
 
-  if (!injectionTarget && data?.isEpisode) {
+  if (!injectionTarget && data?.isEpisode && !placeBelowTitle) {
     inlineAnchor = findSeasonEpisodeInlineAnchor();
     if (inlineAnchor) {
       injectionMode = 'season-episode-inline';
@@ -1363,6 +1714,7 @@ function injectSerializdLink(data) {
   linkWrapper.target = '_blank';
   linkWrapper.rel = 'noopener noreferrer';
   linkWrapper.classList.add('serializd-link-wrapper');
+  linkWrapper.dataset.serializdTmdbId = String(data.tmdbId);
 
   if (inlineAnchor) {
     linkWrapper.classList.add('serializd-inline-wrapper');
@@ -1375,8 +1727,16 @@ function injectSerializdLink(data) {
     container.title = 'View season/episode on Serializd';
   }
 
+  if (data.fuzzyMatch) {
+    const { matchedTitle, matchedYear, score } = data.fuzzyMatch;
+    container.classList.add('serializd-fuzzy-match');
+    container.title =
+      `Fuzzy match by title/year: ${matchedTitle}${matchedYear ? ` (${matchedYear})` : ''}` +
+      ` - ${Math.round(score * 100)}% confidence. Plex has no TMDB ID for this show; check the match.`;
+  }
+
   const logo = document.createElement('img');
-  logo.src = chrome.runtime.getURL('icons/plex-icon-16.png');
+  logo.src = plexIconUrl;
   logo.setAttribute('width', '16px');
   logo.setAttribute('height', '16px');
   logo.classList.add('serializd-logo');
@@ -1386,11 +1746,47 @@ function injectSerializdLink(data) {
   if (data.rating) {
     const ratingSpan = document.createElement('span');
     ratingSpan.classList.add('serializd-rating');
-    ratingSpan.textContent = data.rating.toFixed(2);
+    ratingSpan.textContent = formatRating(data.rating, currentSettings);
     container.appendChild(ratingSpan);
   }
 
+  if (data.fuzzyMatch) {
+    const fuzzyMarker = document.createElement('span');
+    fuzzyMarker.classList.add('serializd-fuzzy-marker');
+    fuzzyMarker.textContent = '≈';
+    container.appendChild(fuzzyMarker);
+  }
+
+  if (data.unavailable) {
+    container.classList.add('serializd-unavailable');
+    const unavailableMarker = document.createElement('span');
+    unavailableMarker.classList.add('serializd-unavailable-marker');
+    unavailableMarker.textContent = '!';
+    unavailableMarker.title = SERIALIZD_UNAVAILABLE_TITLE;
+    container.appendChild(unavailableMarker);
+  }
+
+  if (data.parserOutdated) {
+    container.classList.add('serializd-parser-outdated');
+    const outdatedMarker = document.createElement('span');
+    outdatedMarker.classList.add('serializd-parser-outdated-marker');
+    outdatedMarker.textContent = '?';
+    outdatedMarker.title = data.parserOutdated;
+    container.appendChild(outdatedMarker);
+  }
+
+  if (data.stale) {
+    container.classList.add('serializd-stale');
+    const staleMarker = document.createElement('span');
+    staleMarker.classList.add('serializd-stale-marker');
+    staleMarker.textContent = '⟳';
+    staleMarker.title = `Cached rating from ${new Date(data.cachedAt * 1000).toLocaleDateString()}; refreshing`;
+    container.appendChild(staleMarker);
+  }
+
   linkWrapper.appendChild(container);
+  linkWrapper.appendChild(buildSerializdPopover(data));
+  linkWrapper.setAttribute('aria-describedby', SERIALIZD_POPOVER_ID);
 
   if (inlineAnchor) {
     inlineAnchor.appendChild(linkWrapper);
@@ -1403,71 +1799,285 @@ function injectSerializdLink(data) {
     injectedUrl: data.url,
     isEpisode: !!data.isEpisode,
     hasRating: typeof data.rating === 'number',
+    fuzzyMatch: !!data.fuzzyMatch,
     injectionMode
   });
 
+  if (data.episodeLog && data.tmdbId) {
+    linkWrapper.insertAdjacentElement('afterend', buildEpisodeLogAction(data.tmdbId, data.episodeLog));
+  }
+
   return true;
 }
 
-function isValidPlexServerUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
-
-    if (hostname === 'localhost' ||
-        hostname === '127.0.0.1' ||
-        /^192\.168\.\d{1,3}\.\d{1,3}$/.test(hostname) ||
-        /^10\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(hostname) ||
-        /^172\.(1[6-9]|2\d|3[01])\.\d{1,3}\.\d{1,3}$/.test(hostname)) {
-      return true;
-    }
+const SERIALIZD_UNAVAILABLE_TITLE = 'Serializd temporarily unavailable; retrying shortly';
+const UNAVAILABLE_MIN_RECHECK_MS = 5000;
+let unavailableRecheckTimer = null;
 
-    if (hostname === 'discover.provider.plex.tv' || hostname === 'metadata.provider.plex.tv') {
-      return false;
-    }
+/**
+ * Re-process the page once Serializd accepts requests again, if the user is still on it.
+ * @param {string} pageKey - Page context the "unavailable" badge was rendered for
+ * @param {number|null} retryAt - When the background scheduler lifts its pause (ms timestamp)
+ */
+function scheduleUnavailableRecheck(pageKey, retryAt) {
+  clearTimeout(unavailableRecheckTimer);
 
-    if (hostname.endsWith('.plex.tv') || hostname === 'plex.tv') {
-      return true;
-    }
+  const delay = Math.max(UNAVAILABLE_MIN_RECHECK_MS, (retryAt || 0) - Date.now() + 1000);
+  unavailableRecheckTimer = setTimeout(() => {
+    if (lastProcessedKey !== pageKey) return;
+
+    lastProcessedKey = null;
+    processTVShowPage('serializd-available');
+  }, delay);
+}
+
+/**
+ * Refresh a badge that was rendered from cache (stale-while-revalidate).
+ * The background script coalesces refreshes per TMDB ID across tabs and updates the cache;
+ * the badge is updated in place if it is still on the page.
+ * @param {Object} data - The injectSerializdLink data the badge was rendered from
+ */
+async function revalidateBadge(data) {
+  const ratingData = await requestRatingRefresh(data.tmdbId);
+
+  // Keep the cached badge (and its stale marker) when Serializd can't be reached.
+  if (!ratingData?.seasonMap) return;
+
+  const linkWrapper = document.querySelector(`.serializd-link-wrapper[data-serializd-tmdb-id="${data.tmdbId}"]`);
+  if (!linkWrapper) return;
+
+  const refreshed = {
+    ...data,
+    rating: ratingData.success ? ratingData.rating : null,
+    details: ratingData.details,
+    stale: false
+  };
+
+  const container = linkWrapper.querySelector('.serializd-rating-container');
+  container.classList.remove('serializd-stale');
+  container.querySelector('.serializd-stale-marker')?.remove();
 
-    if (hostname.endsWith('.plex.direct')) {
-      return true;
+  let ratingSpan = container.querySelector('.serializd-rating');
+  if (refreshed.rating) {
+    if (!ratingSpan) {
+      ratingSpan = document.createElement('span');
+      ratingSpan.classList.add('serializd-rating');
+      container.querySelector('.serializd-logo').insertAdjacentElement('afterend', ratingSpan);
     }
+    ratingSpan.textContent = formatRating(refreshed.rating, currentSettings);
+  } else {
+    ratingSpan?.remove();
+  }
 
-    return false;
-  } catch (e) {
-    return false;
+  linkWrapper.querySelector('.serializd-popover')?.replaceWith(buildSerializdPopover(refreshed));
+
+  DEV_DEBUG: logNavigationDebug('badge-revalidated', {
+    tmdbId: data.tmdbId,
+    wasStale: !!data.stale,
+    changed: refreshed.rating !== data.rating
+  });
+}
+
+async function requestRatingRefresh(tmdbId) {
+  try {
+    return await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'refreshSerializdRating', tmdbId }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.error && !('success' in response)) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  } catch (error) {
+    console.warn('Serializd-Plex: Rating refresh failed:', getSafeErrorMessage(error));
+    return null;
   }
 }
 
-function isValidPlexToken(token) {
-  if (!token || typeof token !== 'string') return false;
-  return token.length >= 10 && token.length <= 500 && /^\S+$/.test(token);
+const SERIALIZD_POPOVER_ID = 'serializd-popover';
+
+function formatOutOf10(ratingOutOf10) {
+  return `${ratingOutOf10.toFixed(1)} / 10`;
 }
 
-async function cleanExpiredServerCache() {
-  try {
-    const result = await chrome.storage.local.get('cached_servers');
-    const cache = result.cached_servers || {};
-    let cleanedCount = 0;
-
-    for (const [key, entry] of Object.entries(cache)) {
-      if (isExpired(entry, SERVER_CACHE_TTL)) {
-        delete cache[key];
-        cleanedCount++;
-      }
-    }
+function appendPopoverRow(list, label, value) {
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const definition = document.createElement('dd');
+  definition.textContent = value;
+  list.append(term, definition);
+}
 
-    pruneCacheEntries(cache);
+/**
+ * Build the hover/focus popover for the details badge.
+ * Uses only data the rating fetch already returned (see extractShowDetails in serializd-parser.js);
+ * rows without data are left out.
+ * @param {Object} data - The injectSerializdLink data
+ * @returns {HTMLElement}
+ */
+function buildSerializdPopover(data) {
+  const details = data.details || {};
+  const popover = document.createElement('div');
+  popover.id = SERIALIZD_POPOVER_ID;
+  popover.classList.add('serializd-popover');
+  popover.setAttribute('role', 'tooltip');
+
+  const heading = document.createElement('div');
+  heading.classList.add('serializd-popover-title');
+  heading.textContent = details.name || 'Serializd';
+  popover.appendChild(heading);
+
+  const summary = document.createElement('dl');
+  summary.classList.add('serializd-popover-summary');
+
+  appendPopoverRow(summary, 'Show average', typeof data.rating === 'number' ? formatOutOf10(data.rating * 2) : 'Not rated yet');
 
-    if (cleanedCount > 0) {
-      await chrome.storage.local.set({ cached_servers: cache });
+  if (typeof details.ratingCount === 'number') {
+    appendPopoverRow(summary, 'Ratings', details.ratingCount.toLocaleString());
+  }
+
+  popover.appendChild(summary);
+
+  const ratedSeasons = (details.seasons || []).filter((season) => typeof season.averageRating === 'number');
+  if (ratedSeasons.length > 0) {
+    const seasonList = document.createElement('dl');
+    seasonList.classList.add('serializd-popover-seasons');
+    for (const season of ratedSeasons) {
+      appendPopoverRow(
+        seasonList,
+        season.name || `Season ${season.seasonNumber}`,
+        formatOutOf10(season.averageRating)
+      );
     }
+    popover.appendChild(seasonList);
+  }
+
+  const target = document.createElement('div');
+  target.classList.add('serializd-popover-url');
+  target.textContent = data.url.replace(/^https:\/\/(www\.)?/, '');
+  popover.appendChild(target);
+
+  return popover;
+}
+
+/**
+ * Episode identifiers needed to log to Serializd, or null when the page isn't a fully resolved episode.
+ */
+function getEpisodeLogContext(seasonTmdbId, seasonNum, episodeNum) {
+  if (!seasonTmdbId || seasonNum === null || episodeNum === null) {
+    return null;
+  }
+  return { seasonTmdbId, seasonNum, episodeNum };
+}
 
-    return { cleanedCount };
+/**
+ * Log the episode to the Serializd diary via the background script (uses the Serializd session).
+ * @returns {Promise<Object>} { success, loggedIn, rated, loginUrl?, error? }
+ */
+async function requestEpisodeLog(tmdbId, { seasonTmdbId, episodeNum }, rating) {
+  try {
+    return await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        { action: 'logSerializdEpisode', tmdbId, seasonTmdbId, episodeNum, rating },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (response.error && !('success' in response)) {
+            reject(new Error(response.error));
+          } else {
+            resolve(response);
+          }
+        }
+      );
+    });
   } catch (error) {
-    return { cleanedCount: 0 };
+    console.error('Serializd-Plex: Error logging episode:', getSafeErrorMessage(error));
+    return { success: false, loggedIn: true, error: error.message };
+  }
+}
+
+const EPISODE_LOG_RATINGS = [5, 4.5, 4, 3.5, 3, 2.5, 2, 1.5, 1, 0.5];
+
+/**
+ * Build the "Log on Serializd" control shown next to the badge on episode pages.
+ * @param {number} tmdbId - Show TMDB ID
+ * @param {{seasonTmdbId:number, seasonNum:number, episodeNum:number}} episodeLog
+ * @returns {HTMLElement}
+ */
+function buildEpisodeLogAction(tmdbId, episodeLog) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('serializd-log-action');
+
+  const ratingSelect = document.createElement('select');
+  ratingSelect.classList.add('serializd-log-rating');
+  ratingSelect.setAttribute('aria-label', 'Rating (optional)');
+  ratingSelect.add(new Option('No rating', ''));
+  for (const stars of EPISODE_LOG_RATINGS) {
+    ratingSelect.add(new Option(`★ ${stars}`, String(stars)));
   }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('serializd-log-button');
+  button.textContent = 'Log on Serializd';
+  button.title = `Mark S${episodeLog.seasonNum} E${episodeLog.episodeNum} as watched in your Serializd diary`;
+
+  const feedback = document.createElement('span');
+  feedback.classList.add('serializd-log-feedback');
+  feedback.setAttribute('role', 'status');
+
+  const setFeedback = (state, text) => {
+    wrapper.dataset.state = state;
+    feedback.textContent = text;
+  };
+
+  button.addEventListener('click', async () => {
+    const rating = ratingSelect.value ? parseFloat(ratingSelect.value) : null;
+    button.disabled = true;
+    ratingSelect.disabled = true;
+    setFeedback('pending', 'Logging…');
+
+    const result = await requestEpisodeLog(tmdbId, episodeLog, rating);
+
+    DEV_DEBUG: logNavigationDebug('episode-log-result', {
+      tmdbId,
+      seasonNum: episodeLog.seasonNum,
+      episodeNum: episodeLog.episodeNum,
+      success: !!result.success,
+      loggedIn: result.loggedIn !== false,
+      rated: !!result.rated
+    });
+
+    if (!wrapper.isConnected) return;
+
+    if (result.success) {
+      setFeedback(result.error ? 'warning' : 'done', result.error || (result.rated ? 'Logged and rated ✓' : 'Logged ✓'));
+      button.textContent = 'Logged';
+      return;
+    }
+
+    button.disabled = false;
+    ratingSelect.disabled = false;
+
+    if (result.loggedIn === false) {
+      setFeedback('logged-out', '');
+      const loginLink = document.createElement('a');
+      loginLink.href = result.loginUrl;
+      loginLink.target = '_blank';
+      loginLink.rel = 'noopener noreferrer';
+      loginLink.textContent = 'Log in to Serializd';
+      feedback.append(loginLink, ' in this browser, then try again.');
+      return;
+    }
+
+    setFeedback('error', result.error || 'Could not log the episode');
+  });
+
+  wrapper.append(ratingSelect, button, feedback);
+  return wrapper;
 }
 
 function debounce(func, wait) {
@@ -0,0 +1,212 @@
+// Serializd-Plex ID Mapping
+// Turns TVDB/IMDb show IDs from Plex GUIDs into TMDB show IDs (Serializd uses TMDB IDs).
+// Lookup order:
+// 1. Persisted results (storage.local `id_mappings`), so each show is looked up once
+// 2. Offline mapping table (bundled, or a refreshed copy in storage.local `id_mapping_table`)
+// 3. TMDB find-by-external-ID, only when the user configured a TMDB API key
+// Shows none of them know fall through to the Serializd title search.
+
+import bundledIdMappingTable from './data/id-mapping.json' with { type: 'json' };
+
+export const EXTERNAL_ID_SOURCES = ['tvdb', 'imdb'];
+
+const TMDB_FIND_URL = 'https://api.themoviedb.org/3/find';
+const TMDB_EXTERNAL_SOURCES = { tvdb: 'tvdb_id', imdb: 'imdb_id' };
+const NO_MAPPING_TTL = 86400; // 1 day in seconds before retrying an unmapped ID
+const MAX_ID_MAPPING_ENTRIES = 2000;
+
+function getCurrentTimestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function getMappingKey(source, id) {
+  return `${source}:${id}`;
+}
+
+/**
+ * Validate a mapping table ({ version, generated, tvdb: {id: tmdbId}, imdb: {id: tmdbId} }).
+ * @param {Object} table - Parsed table JSON
+ * @returns {boolean}
+ */
+export function isValidIdMappingTable(table) {
+  if (!table || typeof table !== 'object' || !Number.isInteger(table.version)) {
+    return false;
+  }
+
+  return EXTERNAL_ID_SOURCES.every((source) =>
+    table[source] && typeof table[source] === 'object' && !Array.isArray(table[source])
+  );
+}
+
+async function getActiveIdMappingTable() {
+  try {
+    const result = await chrome.storage.local.get('id_mapping_table');
+    const refreshed = result.id_mapping_table;
+
+    // A refreshed table only wins when it is at least as new as the bundled one.
+    if (isValidIdMappingTable(refreshed) && refreshed.version >= bundledIdMappingTable.version) {
+      return refreshed;
+    }
+  } catch (error) {
+    // Fall back to the bundled table
+  }
+
+  return bundledIdMappingTable;
+}
+
+async function getPersistedMapping(key) {
+  try {
+    const result = await chrome.storage.local.get('id_mappings');
+    const entry = result.id_mappings?.[key];
+    if (!entry) return null;
+
+    if (!entry.tmdbId && getCurrentTimestamp() - (entry.timestamp || 0) > NO_MAPPING_TTL) {
+      return null;
+    }
+
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function persistMappings(keys, tmdbId, source) {
+  try {
+    const result = await chrome.storage.local.get('id_mappings');
+    const cache = result.id_mappings || {};
+    const timestamp = getCurrentTimestamp();
+
+    for (const key of keys) {
+      cache[key] = { tmdbId, source, timestamp };
+    }
+
+    const entries = Object.entries(cache);
+    if (entries.length > MAX_ID_MAPPING_ENTRIES) {
+      entries.sort(([, a], [, b]) => (a.timestamp || 0) - (b.timestamp || 0));
+      for (const [staleKey] of entries.slice(0, entries.length - MAX_ID_MAPPING_ENTRIES)) {
+        delete cache[staleKey];
+      }
+    }
+
+    await chrome.storage.local.set({ id_mappings: cache });
+  } catch (error) {
+    // Best-effort: the lookup simply runs again next time
+  }
+}
+
+async function findTmdbIdViaApi(source, id, apiKey) {
+  const url = new URL(`${TMDB_FIND_URL}/${encodeURIComponent(id)}`);
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('external_source', TMDB_EXTERNAL_SOURCES[source]);
+
+  const response = await fetch(url.toString(), {
+    headers: { 'Accept': 'application/json' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`TMDB API error: ${response.status}`);
+  }
+
+  const body = await response.json();
+  const tmdbId = body?.tv_results?.[0]?.id;
+  return Number.isInteger(tmdbId) ? tmdbId : null;
+}
+
+/**
+ * Resolve a TMDB show ID from TVDB/IMDb show IDs.
+ * @param {{tvdb?:string|null, imdb?:string|null}} externalIds - Show-level external IDs
+ * @param {{tmdbApiKey?:string}} options
+ * @returns {Promise<{tmdbId:number|null, source:string|null}>}
+ */
+export async function resolveTmdbIdFromExternalIds(externalIds, { tmdbApiKey = '' } = {}) {
+  const ids = EXTERNAL_ID_SOURCES
+    .filter((source) => externalIds?.[source])
+    .map((source) => ({ source, id: String(externalIds[source]) }));
+
+  if (ids.length === 0) {
+    return { tmdbId: null, source: null };
+  }
+
+  const keys = ids.map(({ source, id }) => getMappingKey(source, id));
+
+  for (const key of keys) {
+    const persisted = await getPersistedMapping(key);
+    if (persisted) {
+      return { tmdbId: persisted.tmdbId, source: persisted.source };
+    }
+  }
+
+  const table = await getActiveIdMappingTable();
+  for (const { source, id } of ids) {
+    const tmdbId = parseInt(table[source]?.[id], 10);
+    if (Number.isInteger(tmdbId)) {
+      await persistMappings(keys, tmdbId, `table:${source}`);
+      return { tmdbId, source: `table:${source}` };
+    }
+  }
+
+  if (tmdbApiKey) {
+    for (const { source, id } of ids) {
+      const tmdbId = await findTmdbIdViaApi(source, id, tmdbApiKey);
+      if (tmdbId) {
+        await persistMappings(keys, tmdbId, `tmdb-api:${source}`);
+        return { tmdbId, source: `tmdb-api:${source}` };
+      }
+    }
+  }
+
+  // Without a key only the table was asked; a refreshed table may still know the show.
+  if (tmdbApiKey) {
+    await persistMappings(keys, null, null);
+  }
+  return { tmdbId: null, source: null };
+}
+
+/**
+ * Download a newer mapping table and store it for offline use.
+ * Cached "no mapping" results are dropped so they get another chance against the new table.
+ * @param {string} url - Table URL (JSON)
+ * @returns {Promise<Object>} Mapping status, as from getIdMappingStatus
+ */
+export async function refreshIdMappingTable(url) {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' }, cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Mapping table HTTP error: ${response.status}`);
+  }
+
+  const table = await response.json();
+  if (!isValidIdMappingTable(table)) {
+    throw new Error('Mapping table has an unexpected format');
+  }
+
+  await chrome.storage.local.set({
+    id_mapping_table: { ...table, fetchedAt: getCurrentTimestamp() }
+  });
+
+  const result = await chrome.storage.local.get('id_mappings');
+  const cache = result.id_mappings || {};
+  for (const [key, entry] of Object.entries(cache)) {
+    if (!entry.tmdbId) delete cache[key];
+  }
+  await chrome.storage.local.set({ id_mappings: cache });
+
+  return getIdMappingStatus();
+}
+
+/**
+ * @returns {Promise<{version:number, generated:string|null, fetchedAt:number|null, bundled:boolean, tvdbCount:number, imdbCount:number, resolvedCount:number}>}
+ */
+export async function getIdMappingStatus() {
+  const table = await getActiveIdMappingTable();
+  const result = await chrome.storage.local.get('id_mappings');
+
+  return {
+    version: table.version,
+    generated: table.generated || null,
+    fetchedAt: table.fetchedAt || null,
+    bundled: table === bundledIdMappingTable,
+    tvdbCount: Object.keys(table.tvdb).length,
+    imdbCount: Object.keys(table.imdb).length,
+    resolvedCount: Object.values(result.id_mappings || {}).filter((entry) => entry.tmdbId).length
+  };
+}
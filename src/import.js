@@ -0,0 +1,345 @@
+// Serializd-Plex Bulk Import Page
+// One-shot import of Plex watch history into the Serializd diary:
+// 1. Scan: walk the TV sections of the last Plex server seen in Plex Web and collect watched episodes
+// 2. Dry run: map shows to TMDB/Serializd IDs and list what would be logged (and what can't be matched)
+// 3. Import: log approved seasons one request at a time, persisting progress so the job can resume
+// The job lives in storage.local (`import_job`) until discarded.
+
+import { parsePlexShowSections, parseViewedEpisodes, parsePlexItem } from './plex-metadata.js';
+import { sendMessage, getPlexServerContext, fetchPlexPath, resolveShowTmdbId } from './plex-library.js';
+import { createThrottle } from './library-scan.js';
+
+const JOB_KEY = 'import_job';
+const PLEX_PAGE_SIZE = 200;
+const SERIALIZD_REQUEST_INTERVAL_MS = 1500; // Spacing between Serializd requests (lookups and logs)
+
+const serverStatus = document.getElementById('server-status');
+const scanButton = document.getElementById('scan');
+const startButton = document.getElementById('start');
+const pauseButton = document.getElementById('pause');
+const discardButton = document.getElementById('discard');
+const progress = document.getElementById('progress');
+const summary = document.getElementById('summary');
+const planList = document.getElementById('plan');
+const unmatchedList = document.getElementById('unmatched');
+const reportSection = document.getElementById('report');
+const failedList = document.getElementById('failed');
+
+let job = null;
+let pauseRequested = false;
+const throttleSerializd = createThrottle(SERIALIZD_REQUEST_INTERVAL_MS);
+
+async function saveJob() {
+  await chrome.storage.local.set({ [JOB_KEY]: job });
+}
+
+function setProgress(text) {
+  progress.textContent = text;
+}
+
+/**
+ * Collect watched episodes from every TV section, grouped by show.
+ * @returns {Promise<Map<string, {showTitle:string, episodes:Object[]}>>} Keyed by the show's ratingKey
+ */
+async function collectWatchedEpisodes() {
+  const sections = parsePlexShowSections(await fetchPlexPath('/library/sections'));
+  const shows = new Map();
+
+  for (const section of sections) {
+    for (let start = 0; ; start += PLEX_PAGE_SIZE) {
+      setProgress(`Reading "${section.title}" (${start} episodes so far)…`);
+
+      const page = parseViewedEpisodes(await fetchPlexPath(`/library/sections/${section.key}/all`, {
+        type: 4,
+        'X-Plex-Container-Start': start,
+        'X-Plex-Container-Size': PLEX_PAGE_SIZE
+      }));
+
+      for (const episode of page.episodes) {
+        if (!shows.has(episode.showRatingKey)) {
+          shows.set(episode.showRatingKey, { showTitle: episode.showTitle, episodes: [] });
+        }
+        shows.get(episode.showRatingKey).episodes.push(episode);
+      }
+
+      const total = page.totalSize ?? start + page.size;
+      if (page.size < PLEX_PAGE_SIZE || start + page.size >= total) break;
+    }
+  }
+
+  return shows;
+}
+
+/**
+ * Resolve a Plex show to its TMDB ID and Serializd season map.
+ * @returns {Promise<{tmdbId:number, name:string|null, seasonMap:Object}|{error:string}>}
+ */
+async function resolveShow(showRatingKey) {
+  const { tmdbId } = await resolveShowTmdbId(
+    parsePlexItem(await fetchPlexPath(`/library/metadata/${showRatingKey}`, { includeGuids: 1 }))
+  );
+
+  if (!tmdbId) {
+    return { error: 'No TMDB, TVDB or IMDb ID in Plex' };
+  }
+
+  await throttleSerializd();
+  const showData = await sendMessage({ action: 'fetchSerializdRating', tmdbId });
+  if (showData?.unavailable) {
+    return { error: showData.error };
+  }
+  if (!showData?.seasonMap || Object.keys(showData.seasonMap).length === 0) {
+    return { error: `TMDB ${tmdbId} not found on Serializd` };
+  }
+
+  return { tmdbId, name: showData.details?.name || null, seasonMap: showData.seasonMap };
+}
+
+/**
+ * Build the dry-run plan: one batch per show season (a single Serializd log request each).
+ */
+async function scan() {
+  scanButton.disabled = true;
+  reportSection.hidden = true;
+
+  try {
+    const shows = await collectWatchedEpisodes();
+    const batches = [];
+    const unmatched = [];
+    let resolved = 0;
+
+    for (const [showRatingKey, { showTitle, episodes }] of shows) {
+      setProgress(`Matching shows on Serializd (${++resolved}/${shows.size}): ${showTitle}`);
+
+      let show;
+      try {
+        show = await resolveShow(showRatingKey);
+      } catch (error) {
+        show = { error: error.message };
+      }
+
+      if (show.error) {
+        unmatched.push({ showTitle, episodeCount: episodes.length, reason: show.error });
+        continue;
+      }
+
+      const bySeason = new Map();
+      for (const episode of episodes) {
+        if (!bySeason.has(episode.seasonNum)) bySeason.set(episode.seasonNum, new Set());
+        bySeason.get(episode.seasonNum).add(episode.episodeNum);
+      }
+
+      for (const [seasonNum, episodeNumbers] of bySeason) {
+        const seasonTmdbId = show.seasonMap[seasonNum];
+        if (!seasonTmdbId) {
+          unmatched.push({ showTitle, seasonNum, episodeCount: episodeNumbers.size, reason: `Season ${seasonNum} not on Serializd` });
+          continue;
+        }
+
+        batches.push({
+          id: `${show.tmdbId}:${seasonNum}`,
+          showTitle: show.name || showTitle,
+          tmdbId: show.tmdbId,
+          seasonNum,
+          seasonTmdbId,
+          episodeNumbers: [...episodeNumbers].sort((a, b) => a - b),
+          approved: true,
+          status: 'pending',
+          error: null
+        });
+      }
+    }
+
+    batches.sort((a, b) => a.showTitle.localeCompare(b.showTitle) || a.seasonNum - b.seasonNum);
+    job = { status: 'planned', createdAt: Date.now(), batches, unmatched };
+    await saveJob();
+    setProgress('Dry run complete. Review the list, untick anything you don\'t want logged, then start the import.');
+  } catch (error) {
+    setProgress(`Scan failed: ${error.message}`);
+  } finally {
+    scanButton.disabled = false;
+    render();
+  }
+}
+
+async function runImport() {
+  job.status = 'running';
+  pauseRequested = false;
+  await saveJob();
+  render();
+
+  const queue = job.batches.filter((batch) => batch.approved && batch.status !== 'done');
+  let processed = 0;
+
+  for (const batch of queue) {
+    if (pauseRequested) {
+      job.status = 'paused';
+      setProgress('Paused. Start again to resume where the import stopped.');
+      break;
+    }
+
+    setProgress(`Logging ${++processed}/${queue.length}: ${batch.showTitle} season ${batch.seasonNum}`);
+    await throttleSerializd();
+
+    let result;
+    try {
+      result = await sendMessage({
+        action: 'importSerializdBatch',
+        tmdbId: batch.tmdbId,
+        seasonTmdbId: batch.seasonTmdbId,
+        episodeNumbers: batch.episodeNumbers
+      });
+    } catch (error) {
+      result = { success: false, loggedIn: true, error: error.message };
+    }
+
+    if (result.loggedIn === false) {
+      // Every later request would fail the same way; keep the batch pending for the resume.
+      job.status = 'paused';
+      setProgress('Not logged in to Serializd. Log in at serializd.com in this browser, then start again to resume.');
+      break;
+    }
+
+    batch.status = result.success ? 'done' : 'failed';
+    batch.error = result.success ? null : (result.error || 'Unknown error');
+    await saveJob();
+    renderBatch(batch);
+  }
+
+  if (job.status === 'running') {
+    job.status = 'done';
+    setProgress('Import finished.');
+  }
+
+  await saveJob();
+  render();
+}
+
+async function discardJob() {
+  job = null;
+  await chrome.storage.local.remove(JOB_KEY);
+  setProgress('');
+  render();
+}
+
+function countEpisodes(batches) {
+  return batches.reduce((total, batch) => total + batch.episodeNumbers.length, 0);
+}
+
+function renderBatch(batch) {
+  const item = planList.querySelector(`[data-batch-id="${batch.id}"]`);
+  if (!item) return;
+
+  item.dataset.status = batch.status;
+  item.querySelector('.batch-status').textContent =
+    batch.status === 'failed' ? `failed: ${batch.error}` : batch.status === 'done' ? 'logged' : '';
+}
+
+function render() {
+  const hasJob = !!job;
+  const running = job?.status === 'running';
+  const pending = job?.batches.filter((batch) => batch.approved && batch.status !== 'done') || [];
+
+  scanButton.disabled = running;
+  startButton.disabled = !hasJob || running || pending.length === 0;
+  startButton.textContent = job?.status === 'paused' ? 'Resume import' : 'Start import';
+  pauseButton.disabled = !running;
+  discardButton.disabled = !hasJob || running;
+
+  planList.replaceChildren();
+  unmatchedList.replaceChildren();
+  failedList.replaceChildren();
+
+  if (!hasJob) {
+    summary.textContent = '';
+    reportSection.hidden = true;
+    return;
+  }
+
+  const approved = job.batches.filter((batch) => batch.approved);
+  summary.textContent =
+    `${countEpisodes(approved)} episodes in ${approved.length} seasons will be logged; ` +
+    `${job.unmatched.reduce((total, entry) => total + entry.episodeCount, 0)} episodes could not be matched. ` +
+    'Episodes already in your Serializd diary are not detected; untick seasons you have logged there.';
+
+  for (const batch of job.batches) {
+    const item = document.createElement('li');
+    item.dataset.batchId = batch.id;
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = batch.approved;
+    checkbox.disabled = running || batch.status === 'done';
+    checkbox.addEventListener('change', async () => {
+      batch.approved = checkbox.checked;
+      await saveJob();
+      render();
+    });
+
+    const text = document.createElement('span');
+    text.textContent = `${batch.showTitle} S${batch.seasonNum}: episodes ${batch.episodeNumbers.join(', ')}`;
+
+    const status = document.createElement('span');
+    status.classList.add('batch-status');
+
+    label.append(checkbox, text);
+    item.append(label, status);
+    planList.appendChild(item);
+    renderBatch(batch);
+  }
+
+  for (const entry of job.unmatched) {
+    const item = document.createElement('li');
+    const season = entry.seasonNum !== undefined ? ` S${entry.seasonNum}` : '';
+    item.textContent = `${entry.showTitle}${season} (${entry.episodeCount} episodes): ${entry.reason}`;
+    unmatchedList.appendChild(item);
+  }
+
+  const failed = job.batches.filter((batch) => batch.status === 'failed');
+  reportSection.hidden = job.status !== 'done' && job.status !== 'paused';
+  for (const batch of failed) {
+    const item = document.createElement('li');
+    item.textContent = `${batch.showTitle} S${batch.seasonNum} (${batch.episodeNumbers.length} episodes): ${batch.error}`;
+    failedList.appendChild(item);
+  }
+
+  if (!reportSection.hidden) {
+    const done = job.batches.filter((batch) => batch.status === 'done');
+    reportSection.querySelector('.report-summary').textContent =
+      `Logged ${countEpisodes(done)} episodes in ${done.length} seasons; ${failed.length} seasons failed; ` +
+      `${job.unmatched.length} shows/seasons were not matched.`;
+  }
+}
+
+async function init() {
+  const context = await getPlexServerContext();
+  if (context) {
+    serverStatus.textContent = `Plex server: ${context.serverUrl} (seen ${new Date(context.capturedAt).toLocaleString()})`;
+  } else {
+    serverStatus.textContent = 'No Plex server seen yet. Open a show in Plex Web, then reload this page.';
+    scanButton.disabled = true;
+  }
+
+  const result = await chrome.storage.local.get(JOB_KEY);
+  job = result[JOB_KEY] || null;
+
+  // A job that was running when the page closed resumes as paused.
+  if (job?.status === 'running') {
+    job.status = 'paused';
+    await saveJob();
+  }
+
+  render();
+  if (!context) scanButton.disabled = true;
+}
+
+scanButton.addEventListener('click', scan);
+startButton.addEventListener('click', runImport);
+pauseButton.addEventListener('click', () => {
+  pauseRequested = true;
+  pauseButton.disabled = true;
+});
+discardButton.addEventListener('click', discardJob);
+
+init();
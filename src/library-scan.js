@@ -0,0 +1,146 @@
+// Serializd-Plex Library Scan
+// Walks the TV shows of the current Plex server and resolves each to its Serializd data.
+// Shared by the library audit and the Plex write-back pages.
+
+import { parsePlexShowSections, parsePlexShows, parsePlexItem } from './plex-metadata.js';
+import { sendMessage, fetchPlexPath, resolveShowTmdbId } from './plex-library.js';
+import { cacheRating, getCachedRating } from './show-cache.js';
+
+const PLEX_PAGE_SIZE = 200;
+
+export async function listShowSections() {
+  return parsePlexShowSections(await fetchPlexPath('/library/sections'));
+}
+
+/**
+ * List every show in a TV section, paging through the section listing.
+ * @param {{key:string, title:string}} section
+ * @param {(count:number) => void} onProgress - Called with the number of shows read so far
+ * @returns {Promise<Array<{ratingKey:string, title:string, year:number|null, item:import('./plex-metadata.js').PlexItem, section:string, sectionKey:string}>>}
+ */
+export async function collectSectionShows(section, onProgress = () => {}) {
+  const shows = [];
+
+  for (let start = 0; ; start += PLEX_PAGE_SIZE) {
+    onProgress(shows.length);
+
+    const page = parsePlexShows(await fetchPlexPath(`/library/sections/${section.key}/all`, {
+      includeGuids: 1,
+      'X-Plex-Container-Start': start,
+      'X-Plex-Container-Size': PLEX_PAGE_SIZE
+    }));
+
+    shows.push(...page.shows.map((show) => ({ ...show, section: section.title, sectionKey: section.key })));
+
+    const total = page.totalSize ?? start + page.size;
+    if (page.size < PLEX_PAGE_SIZE || start + page.size >= total) break;
+  }
+
+  return shows;
+}
+
+/**
+ * Space out uncached Serializd lookups.
+ * @param {number} intervalMs - Minimum time between lookups
+ * @returns {() => Promise<void>}
+ */
+export function createThrottle(intervalMs) {
+  let lastRunAt = 0;
+
+  return async () => {
+    const waitMs = lastRunAt + intervalMs - Date.now();
+    if (waitMs > 0) await new Promise((resolve) => setTimeout(resolve, waitMs));
+    lastRunAt = Date.now();
+  };
+}
+
+/**
+ * Serializd data for a resolved show: fresh cache entry, else a background fetch.
+ * Only pages that parsed are cached.
+ */
+async function getSerializdData(tmdbId, { ttl, throttle }) {
+  const cached = await getCachedRating(tmdbId, ttl);
+  if (cached?.rating) {
+    return { success: true, rating: cached.rating, cached: true };
+  }
+
+  await throttle();
+  const ratingData = await sendMessage({ action: 'fetchSerializdRating', tmdbId });
+
+  if (ratingData.seasonMap) {
+    await cacheRating(tmdbId, {
+      rating: ratingData.rating,
+      seasonMap: ratingData.seasonMap,
+      details: ratingData.details
+    });
+  }
+
+  return ratingData;
+}
+
+/**
+ * Resolve a Plex show to its TMDB ID and Serializd rating.
+ * status is one of: matched, no-rating, no-tmdb-guid, serializd-404, unavailable (Serializd paused or down),
+ * error (reason explains it).
+ * @param {Object} show - Entry from collectSectionShows
+ * @param {{ttl:number, throttle:() => Promise<void>}} options - Show cache TTL in seconds, Serializd throttle
+ * @returns {Promise<Object>} Row with section, ratingKey, title, year, tmdbId, tmdbSource, serializdUrl, rating (out of 5), status, reason
+ */
+export async function resolveShowRating(show, options) {
+  const row = {
+    section: show.section,
+    sectionKey: show.sectionKey,
+    ratingKey: show.ratingKey,
+    title: show.title,
+    year: show.year,
+    tmdbId: null,
+    tmdbSource: null,
+    serializdUrl: null,
+    rating: null,
+    status: 'error',
+    reason: null
+  };
+
+  try {
+    let resolved = await resolveShowTmdbId(show.item);
+    if (!resolved.hasGuids) {
+      // Older servers ignore includeGuids on section listings; ask for the show itself.
+      resolved = await resolveShowTmdbId(parsePlexItem(await fetchPlexPath(`/library/metadata/${show.ratingKey}`, { includeGuids: 1 })));
+    }
+
+    if (!resolved.tmdbId) {
+      row.status = 'no-tmdb-guid';
+      row.reason = resolved.hasGuids
+        ? 'Plex only has TVDB/IMDb IDs and no TMDB mapping was found'
+        : 'Plex has no external IDs for this show (unmatched or legacy agent)';
+      return row;
+    }
+
+    row.tmdbId = resolved.tmdbId;
+    row.tmdbSource = resolved.source;
+    row.serializdUrl = `https://www.serializd.com/show/${resolved.tmdbId}`;
+
+    const serializd = await getSerializdData(resolved.tmdbId, options);
+    if (serializd.notFound) {
+      row.status = 'serializd-404';
+      row.reason = `Serializd has no show with TMDB ID ${resolved.tmdbId}; the Plex match may be wrong`;
+    } else if (serializd.unavailable) {
+      row.status = 'unavailable';
+      row.reason = serializd.error;
+    } else if (serializd.parserOutdated) {
+      row.status = 'error';
+      row.reason = `Could not read the Serializd page: ${serializd.error}`;
+    } else if (typeof serializd.rating !== 'number') {
+      row.status = 'no-rating';
+      row.reason = serializd.error || 'No ratings yet';
+    } else {
+      row.status = 'matched';
+      row.rating = Math.round(serializd.rating * 100) / 100;
+    }
+  } catch (error) {
+    row.status = 'error';
+    row.reason = error.message;
+  }
+
+  return row;
+}
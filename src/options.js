@@ -0,0 +1,292 @@
+// Serializd-Plex Options Page
+// Reads/writes the shared settings object; content and background scripts pick changes up live.
+
+import { loadSettings, saveSettings, formatRating } from './settings.js';
+import { normalizeCustomOrigin, originToMatchPattern, MAX_CUSTOM_HOSTS } from './plex-hosts.js';
+
+const PREVIEW_RATING = 4.1234; // Out of 5
+
+const form = document.getElementById('settings-form');
+const preview = document.getElementById('rating-preview');
+const saveStatus = document.getElementById('save-status');
+const hostList = document.getElementById('custom-hosts');
+const hostInput = document.getElementById('custom-host-input');
+const hostAddButton = document.getElementById('custom-host-add');
+const hostStatus = document.getElementById('custom-host-status');
+const idMappingStatus = document.getElementById('id-mapping-status');
+const idMappingRefreshButton = document.getElementById('id-mapping-refresh');
+const scrobblePending = document.getElementById('scrobble-pending');
+const scrobbleHistoryList = document.getElementById('scrobble-history');
+const scrobbleHistoryClearButton = document.getElementById('scrobble-history-clear');
+const showCacheStatus = document.getElementById('show-cache-status');
+const showCacheClearButton = document.getElementById('show-cache-clear');
+
+function fillForm(settings) {
+  for (const [name, value] of Object.entries(settings)) {
+    const field = form.elements.namedItem(name);
+    if (!field) continue;
+
+    if (field.type === 'checkbox') {
+      field.checked = value;
+    } else {
+      field.value = String(value);
+    }
+  }
+
+  preview.textContent = formatRating(PREVIEW_RATING, settings);
+}
+
+function readForm() {
+  const data = {};
+
+  for (const field of form.elements) {
+    if (!field.name) continue;
+    data[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+  }
+
+  return data;
+}
+
+function showStatus(message, isError = false, target = saveStatus) {
+  target.textContent = message;
+  target.classList.toggle('error', isError);
+}
+
+async function renderCustomHosts(customHosts) {
+  hostList.replaceChildren();
+
+  for (const origin of customHosts) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = origin;
+
+    const granted = await chrome.permissions.contains({ origins: [originToMatchPattern(origin)] });
+    if (!granted) {
+      label.classList.add('missing-permission');
+      label.title = 'Access to this host was not granted; remove and add it again.';
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeCustomHost(origin));
+
+    item.append(label, removeButton);
+    hostList.appendChild(item);
+  }
+}
+
+async function addCustomHost() {
+  const origin = normalizeCustomOrigin(hostInput.value);
+  if (!origin) {
+    showStatus('Enter an http(s) host or URL.', true, hostStatus);
+    return;
+  }
+
+  // Request first: Firefox only shows the prompt while handling the click.
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({ origins: [originToMatchPattern(origin)] });
+  } catch (error) {
+    showStatus(`Could not request access: ${error?.message || String(error)}`, true, hostStatus);
+    return;
+  }
+
+  if (!granted) {
+    showStatus(`Access to ${origin} was not granted.`, true, hostStatus);
+    return;
+  }
+
+  const settings = await loadSettings();
+  if (!settings.customHosts.includes(origin) && settings.customHosts.length >= MAX_CUSTOM_HOSTS) {
+    showStatus(`At most ${MAX_CUSTOM_HOSTS} custom hosts are supported.`, true, hostStatus);
+    return;
+  }
+
+  const saved = await saveSettings({ customHosts: [...settings.customHosts, origin] });
+  hostInput.value = '';
+  await renderCustomHosts(saved.customHosts);
+  showStatus(`Added ${origin}. Reload open Plex tabs on that host.`, false, hostStatus);
+}
+
+async function removeCustomHost(origin) {
+  const settings = await loadSettings();
+  const saved = await saveSettings({
+    customHosts: settings.customHosts.filter((host) => host !== origin)
+  });
+
+  try {
+    await chrome.permissions.remove({ origins: [originToMatchPattern(origin)] });
+  } catch (error) {
+    // Permission may already be gone; the host is removed from settings either way.
+  }
+
+  await renderCustomHosts(saved.customHosts);
+  showStatus(`Removed ${origin}.`, false, hostStatus);
+}
+
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.error) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+function renderIdMappingStatus(status) {
+  const origin = status.bundled ? 'bundled' : 'refreshed';
+  idMappingStatus.textContent =
+    `Table v${status.version} (${origin}): ${status.tvdbCount} TVDB, ${status.imdbCount} IMDb IDs. ` +
+    `${status.resolvedCount} shows mapped so far.`;
+}
+
+async function refreshIdMapping() {
+  let origin;
+  try {
+    const url = new URL(form.elements.namedItem('idMappingTableUrl').value.trim());
+    if (url.protocol !== 'https:') throw new Error('not https');
+    origin = url.origin;
+  } catch (error) {
+    idMappingStatus.textContent = 'Enter an https:// mapping table URL first.';
+    return;
+  }
+
+  idMappingRefreshButton.disabled = true;
+  try {
+    // Request first: Firefox only shows the prompt while handling the click. The weekly background
+    // refresh needs the same access.
+    if (!await chrome.permissions.request({ origins: [`${origin}/*`] })) {
+      idMappingStatus.textContent = `Access to ${origin} was not granted.`;
+      return;
+    }
+
+    await saveSettings(readForm());
+    renderIdMappingStatus(await sendMessage({ action: 'refreshIdMappingTable' }));
+  } catch (error) {
+    idMappingStatus.textContent = `Refresh failed: ${error.message}`;
+  } finally {
+    idMappingRefreshButton.disabled = false;
+  }
+}
+
+function describeScrobbledEpisode(episode) {
+  if (!episode) return 'Unresolved Plex item';
+  const show = episode.showName || `TMDB ${episode.tmdbId}`;
+  return `${show} S${episode.seasonNum} E${episode.episodeNum}`;
+}
+
+async function renderScrobbleState() {
+  let state;
+  try {
+    state = await sendMessage({ action: 'getScrobbleState' });
+  } catch (error) {
+    scrobblePending.textContent = 'Scrobble history unavailable.';
+    return;
+  }
+
+  scrobblePending.textContent = state.queue.length
+    ? `${state.queue.length} waiting to be scrobbled.`
+    : 'Nothing waiting to be scrobbled.';
+
+  scrobbleHistoryList.replaceChildren();
+  for (const entry of state.history) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = describeScrobbledEpisode(entry.episode);
+
+    if (entry.status === 'failed') {
+      label.classList.add('failed');
+      label.title = entry.error || 'Failed';
+      label.textContent += ' (failed)';
+    } else if (entry.status === 'skipped') {
+      label.textContent = `${entry.title || 'Plex item'} (skipped)`;
+      label.title = entry.error || 'Skipped';
+    }
+
+    const time = document.createElement('time');
+    const finishedAt = new Date(entry.finishedAt);
+    time.dateTime = finishedAt.toISOString();
+    time.textContent = finishedAt.toLocaleString();
+
+    item.append(label, time);
+    scrobbleHistoryList.appendChild(item);
+  }
+}
+
+async function clearScrobbles() {
+  await sendMessage({ action: 'clearScrobbleHistory' });
+  await renderScrobbleState();
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function renderShowCacheStats() {
+  try {
+    const stats = await sendMessage({ action: 'getShowCacheStats' });
+    showCacheStatus.textContent =
+      `${stats.shows} shows and ${stats.showIds} Plex items cached (${formatBytes(stats.bytes)}).`;
+  } catch (error) {
+    showCacheStatus.textContent = 'Cache size unavailable.';
+  }
+}
+
+async function clearCache() {
+  showCacheClearButton.disabled = true;
+  try {
+    await sendMessage({ action: 'clearShowCache' });
+  } finally {
+    showCacheClearButton.disabled = false;
+    await renderShowCacheStats();
+  }
+}
+
+idMappingRefreshButton.addEventListener('click', refreshIdMapping);
+showCacheClearButton.addEventListener('click', clearCache);
+scrobbleHistoryClearButton.addEventListener('click', clearScrobbles);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.scrobble_queue || changes.scrobble_history)) {
+    renderScrobbleState();
+  }
+});
+hostAddButton.addEventListener('click', addCustomHost);
+hostInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    addCustomHost();
+  }
+});
+
+form.addEventListener('change', async () => {
+  try {
+    const saved = await saveSettings(readForm());
+    fillForm(saved);
+    showStatus('Saved.');
+  } catch (error) {
+    showStatus(`Could not save settings: ${error?.message || String(error)}`, true);
+  }
+});
+
+loadSettings().then((settings) => {
+  fillForm(settings);
+  renderCustomHosts(settings.customHosts);
+});
+
+renderScrobbleState();
+renderShowCacheStats();
+
+sendMessage({ action: 'getIdMappingStatus' })
+  .then(renderIdMappingStatus)
+  .catch(() => {
+    idMappingStatus.textContent = 'Mapping table status unavailable.';
+  });
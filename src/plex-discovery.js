@@ -0,0 +1,256 @@
+// Serializd-Plex Plex Server Discovery
+// Finds a way to reach a Plex server that Plex Web hasn't talked to from this browser yet:
+// 1. plex.tv's resources API lists every connection of the server (local, remote, relay, plex.direct)
+// 2. all of them are probed in parallel (/identity, short timeout)
+// 3. the ranked list (working connections fastest first, then the rest) is cached in `cached_servers`
+// Callers try the connections in order and demote ones that stop answering, so a dead address fails
+// over to the next without waiting for the cache TTL. Background script only.
+// plex.tv is asked with the signed-in account's token (works for shared servers too); it answers with the
+// server's own access token, which is kept in storage.session next to the registry, never on disk.
+// Connections outside the host allowlist are dropped before they are probed or handed out.
+
+import { parsePlexMediaContainer } from './plex-metadata.js';
+import { createRequestCache } from './request-cache.js';
+import { isAllowedPlexServerUrl } from './plex-hosts.js';
+
+const SERVER_CACHE_KEY = 'cached_servers';
+const ACCESS_TOKENS_KEY = 'plex_discovered_tokens';
+const CLIENT_IDENTIFIER_KEY = 'plex_client_identifier';
+const RESOURCES_URL = 'https://plex.tv/api/v2/resources?includeHttps=1&includeRelay=1&includeIPv6=1';
+const PROBE_TIMEOUT_MS = 2500;
+const MAX_SERVER_ENTRIES = 50;
+
+const discoveries = createRequestCache({ ttlMs: 0 });
+let writeChain = Promise.resolve();
+let tokenWriteChain = Promise.resolve();
+
+function getCurrentTimestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function getServerCacheKey(machineIdentifier) {
+  return `serializd_plex_server_${machineIdentifier}`;
+}
+
+// Entries from before discovery (single address/port/scheme) have no connection list and are rediscovered.
+function isUsableEntry(entry, ttl) {
+  return Array.isArray(entry?.connections) &&
+    entry.connections.length > 0 &&
+    !!entry.timestamp &&
+    getCurrentTimestamp() - entry.timestamp <= ttl;
+}
+
+async function readServerCache() {
+  const result = await chrome.storage.local.get(SERVER_CACHE_KEY);
+  return result[SERVER_CACHE_KEY] || {};
+}
+
+/**
+ * Read-modify-write the cache, one update at a time.
+ * @param {(cache:Object) => void} update - Mutates the cache object
+ */
+function updateServerCache(update) {
+  const write = writeChain.then(async () => {
+    const cache = await readServerCache();
+    update(cache);
+
+    const entries = Object.entries(cache);
+    if (entries.length > MAX_SERVER_ENTRIES) {
+      entries.sort(([, a], [, b]) => (a.timestamp || 0) - (b.timestamp || 0));
+      entries.slice(0, entries.length - MAX_SERVER_ENTRIES).forEach(([key]) => delete cache[key]);
+    }
+
+    await chrome.storage.local.set({ [SERVER_CACHE_KEY]: cache });
+  });
+  writeChain = write.catch(() => {});
+  return write;
+}
+
+// plex.tv's v2 API wants a stable client identifier per installation.
+async function getClientIdentifier() {
+  const result = await chrome.storage.local.get(CLIENT_IDENTIFIER_KEY);
+  if (result[CLIENT_IDENTIFIER_KEY]) {
+    return result[CLIENT_IDENTIFIER_KEY];
+  }
+
+  const clientIdentifier = crypto.randomUUID();
+  await chrome.storage.local.set({ [CLIENT_IDENTIFIER_KEY]: clientIdentifier });
+  return clientIdentifier;
+}
+
+async function readAccessTokens() {
+  const result = await chrome.storage.session.get(ACCESS_TOKENS_KEY);
+  return result[ACCESS_TOKENS_KEY] || {};
+}
+
+function storeAccessToken(machineIdentifier, accessToken) {
+  const write = tokenWriteChain.then(async () => {
+    const tokens = await readAccessTokens();
+    tokens[machineIdentifier] = accessToken;
+    await chrome.storage.session.set({ [ACCESS_TOKENS_KEY]: tokens });
+  });
+  tokenWriteChain = write.catch(() => {});
+  return write;
+}
+
+/**
+ * @param {string} machineIdentifier
+ * @param {string} accountToken - plex.tv token of the signed-in account
+ * @param {string[]} customOrigins - Normalized custom origins from settings
+ * @returns {Promise<{serverName:string|null, accessToken:string|null, connections:Array<{uri:string, local:boolean, relay:boolean}>}|null>}
+ */
+async function fetchServerResource(machineIdentifier, accountToken, customOrigins) {
+  const response = await fetch(RESOURCES_URL, {
+    headers: {
+      'Accept': 'application/json',
+      'X-Plex-Token': accountToken,
+      'X-Plex-Client-Identifier': await getClientIdentifier(),
+      'X-Plex-Product': 'Serializd-Plex'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`plex.tv resources error: ${response.status}`);
+  }
+
+  const resources = await response.json();
+  const server = (Array.isArray(resources) ? resources : []).find((resource) =>
+    resource?.clientIdentifier === machineIdentifier &&
+    String(resource.provides || '').split(',').includes('server'));
+
+  if (!server) {
+    return null;
+  }
+
+  return {
+    serverName: typeof server.name === 'string' ? server.name : null,
+    accessToken: typeof server.accessToken === 'string' ? server.accessToken : null,
+    connections: (Array.isArray(server.connections) ? server.connections : [])
+      .filter((connection) => /^https?:\/\/[^/?#]+\/?$/i.test(connection?.uri || ''))
+      .map((connection) => ({
+        uri: connection.uri.replace(/\/$/, ''),
+        local: !!connection.local,
+        relay: !!connection.relay
+      }))
+      .filter((connection) => isAllowedPlexServerUrl(connection.uri, customOrigins))
+  };
+}
+
+/**
+ * @returns {Promise<Object>} The connection with latencyMs (null when it didn't answer as this server)
+ */
+async function probeConnection(connection, machineIdentifier) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(`${connection.uri}/identity`, {
+      headers: { 'Accept': 'application/json' },
+      signal: controller.signal
+    });
+    const latencyMs = Math.round(performance.now() - startedAt);
+    if (!response.ok) {
+      return { ...connection, latencyMs: null };
+    }
+
+    // Another server now answering on a stale address doesn't count.
+    const identity = parsePlexMediaContainer(await response.text()).machineIdentifier;
+    return { ...connection, latencyMs: identity && identity !== machineIdentifier ? null : latencyMs };
+  } catch (error) {
+    return { ...connection, latencyMs: null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Working connections by latency, then unreachable ones (local before remote before relay) as a last resort.
+function rankConnections(connections) {
+  const preference = (connection) => (connection.relay ? 2 : connection.local ? 0 : 1);
+
+  return [...connections].sort((a, b) => {
+    if ((a.latencyMs === null) !== (b.latencyMs === null)) {
+      return a.latencyMs === null ? 1 : -1;
+    }
+    if (a.latencyMs !== null && a.latencyMs !== b.latencyMs) {
+      return a.latencyMs - b.latencyMs;
+    }
+    return preference(a) - preference(b);
+  });
+}
+
+/**
+ * Ranked connections of a server plus its access token, from the cache or discovered through plex.tv.
+ * Only connections allowed by the host policy are returned.
+ * @param {string} machineIdentifier
+ * @param {{accountToken:string, ttl:number, customOrigins?:string[]}} options - ttl is the max age of a
+ *   cached entry in seconds
+ * @returns {Promise<{serverName:string|null, accessToken:string, connections:Array<{uri:string, local:boolean, relay:boolean, latencyMs:number|null}>, timestamp:number}|null>}
+ */
+export async function discoverPlexServer(machineIdentifier, { accountToken, ttl, customOrigins = [] }) {
+  const cache = await readServerCache();
+  const cached = cache[getServerCacheKey(machineIdentifier)];
+  const accessToken = (await readAccessTokens())[machineIdentifier];
+  // A browser restart clears the access token; plex.tv is asked again for it.
+  if (isUsableEntry(cached, ttl) && accessToken) {
+    return withAllowedConnections({ ...cached, accessToken }, customOrigins);
+  }
+
+  const entry = await discoveries.run(machineIdentifier, async () => {
+    const resource = await fetchServerResource(machineIdentifier, accountToken, customOrigins);
+    if (!resource || !resource.accessToken || resource.connections.length === 0) {
+      return null;
+    }
+
+    const probed = await Promise.all(resource.connections.map((connection) => probeConnection(connection, machineIdentifier)));
+    const discovered = {
+      serverName: resource.serverName,
+      connections: rankConnections(probed),
+      timestamp: getCurrentTimestamp()
+    };
+
+    await storeAccessToken(machineIdentifier, resource.accessToken);
+    await updateServerCache((servers) => {
+      servers[getServerCacheKey(machineIdentifier)] = discovered;
+    });
+    return { ...discovered, accessToken: resource.accessToken };
+  });
+
+  return entry ? withAllowedConnections(entry, customOrigins) : null;
+}
+
+// Cached connections are checked again: a custom host may have been removed since they were probed.
+function withAllowedConnections(entry, customOrigins) {
+  return {
+    ...entry,
+    connections: entry.connections.filter((connection) => isAllowedPlexServerUrl(connection.uri, customOrigins))
+  };
+}
+
+/**
+ * Move a connection that stopped answering to the end of its server's list.
+ */
+export function demotePlexConnection(machineIdentifier, uri) {
+  return updateServerCache((servers) => {
+    const entry = servers[getServerCacheKey(machineIdentifier)];
+    const index = entry?.connections?.findIndex((connection) => connection.uri === uri) ?? -1;
+    if (index < 0) return;
+
+    const [connection] = entry.connections.splice(index, 1);
+    entry.connections.push({ ...connection, latencyMs: null });
+  });
+}
+
+/**
+ * Drop expired and legacy entries.
+ * @param {number} ttl - Max age in seconds
+ */
+export function pruneServerCache(ttl) {
+  return updateServerCache((servers) => {
+    for (const [key, entry] of Object.entries(servers)) {
+      if (!isUsableEntry(entry, ttl)) {
+        delete servers[key];
+      }
+    }
+  });
+}
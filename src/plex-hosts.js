@@ -0,0 +1,101 @@
+// Serializd-Plex Host Allowlist
+// Which origins count as Plex servers/Plex Web, including user-added custom hosts
+// (reverse proxies, Tailscale addresses, ...) granted through optional host permissions.
+
+export const CUSTOM_HOSTS_SCRIPT_ID = 'serializd-plex-custom-hosts';
+export const MAX_CUSTOM_HOSTS = 20;
+
+// Origins the manifest registers the content script for (and exposes the Plex icon to).
+export const BUILT_IN_PLEX_WEB_ORIGINS = ['https://app.plex.tv', 'http://127.0.0.1:32400', 'http://127.0.0.1'];
+
+// Built-in allowlist: loopback, RFC1918 LAN ranges and Plex-operated domains, plex.direct included
+// (the HTTPS names Plex gives a server's LAN and remote addresses). Anything else is allowed only
+// once added and granted as a custom host.
+const BUILT_IN_HOSTNAMES = [
+  /^localhost$/,
+  /^127\.0\.0\.1$/,
+  /^192\.168\.\d{1,3}\.\d{1,3}$/,
+  /^10\.\d{1,3}\.\d{1,3}\.\d{1,3}$/,
+  /^172\.(1[6-9]|2\d|3[01])\.\d{1,3}\.\d{1,3}$/,
+  /^(.+\.)?plex\.tv$/,
+  /\.plex\.direct$/
+];
+
+// Plex server hosts the manifest has host permissions for, as match patterns (ports are not part of them).
+// Blocking webRequest listeners are limited to these plus granted custom hosts.
+export const BUILT_IN_PLEX_SERVER_MATCH_PATTERNS = ['http://127.0.0.1/*', '*://*.plex.direct/*', '*://*.plex.tv/*'];
+
+// Plex-operated hosts that serve metadata but are never a user's media server.
+const DENIED_HOSTNAMES = ['discover.provider.plex.tv', 'metadata.provider.plex.tv'];
+
+/**
+ * Normalize user input ("plex.example.lan", "http://100.64.0.7:32400/web") to an origin.
+ * @param {string} input - Host, origin or URL
+ * @returns {string|null} Origin such as "https://plex.example.lan" or null if invalid
+ */
+export function normalizeCustomOrigin(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  let value = input.trim();
+  if (!value) return null;
+
+  if (!/^[a-z][a-z\d+.-]*:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) {
+      return null;
+    }
+    return url.origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Match pattern used for both the permission request and the content script registration.
+ * @param {string} origin - Normalized origin
+ * @returns {string|null}
+ */
+export function originToMatchPattern(origin) {
+  const normalized = normalizeCustomOrigin(origin);
+  return normalized ? `${normalized}/*` : null;
+}
+
+/**
+ * Narrow host match patterns ("<scheme>://<host>/*") to Plex item metadata requests.
+ * @param {string[]} matchPatterns - Host match patterns ending in "/*"
+ * @returns {string[]} Patterns such as "*://*.plex.direct/library/metadata/*"
+ */
+export function toPlexMetadataMatchPatterns(matchPatterns) {
+  return matchPatterns
+    .filter((pattern) => pattern.endsWith('/*'))
+    .map((pattern) => `${pattern.slice(0, -1)}library/metadata/*`);
+}
+
+/**
+ * Check a Plex server URL against the allowlist: built-in hosts plus custom origins.
+ * @param {string} url - Server URL seen in a Plex API request
+ * @param {string[]} customOrigins - Normalized custom origins from settings
+ * @returns {boolean}
+ */
+export function isAllowedPlexServerUrl(url, customOrigins = []) {
+  try {
+    const urlObj = new URL(url);
+    const hostname = urlObj.hostname.toLowerCase();
+
+    if (DENIED_HOSTNAMES.includes(hostname)) {
+      return false;
+    }
+
+    if (customOrigins.includes(urlObj.origin)) {
+      return true;
+    }
+
+    return BUILT_IN_HOSTNAMES.some((pattern) => pattern.test(hostname));
+  } catch (e) {
+    return false;
+  }
+}
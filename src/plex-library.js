@@ -0,0 +1,71 @@
+// Serializd-Plex Plex Library Access
+// Used by extension pages (import, audit) that run outside a Plex tab: Plex requests go through the
+// background script, which holds the server/token context last seen in Plex Web.
+
+import { extractTMDBIdFromPlexItem } from './plex-metadata.js';
+
+export function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.error && !('success' in response)) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+export async function getPlexServerContext() {
+  const context = await sendMessage({ action: 'getPlexServerContext' }).catch(() => null);
+  return context?.serverUrl ? context : null;
+}
+
+/**
+ * Fetch a library path from the current Plex server.
+ * @param {string} path - e.g. "/library/sections"
+ * @param {Object<string,string|number>} params - Extra query parameters
+ * @returns {Promise<string>} Response body, JSON or XML (parse with plex-metadata.js)
+ */
+export async function fetchPlexPath(path, params = {}) {
+  const response = await sendMessage({ action: 'fetchPlexServerPath', path, params });
+  return response.text;
+}
+
+/**
+ * Resolve a show's TMDB ID from its Plex metadata, mapping TVDB/IMDb-only shows
+ * through the background ID-mapping layer.
+ * @param {import('./plex-metadata.js').PlexItem|null} item - Show item
+ * @returns {Promise<{tmdbId:number|null, source:string|null, hasGuids:boolean}>}
+ */
+export async function resolveShowTmdbId(item) {
+  const plexData = extractTMDBIdFromPlexItem(item);
+
+  if (plexData?.showTmdbId) {
+    return { tmdbId: plexData.showTmdbId, source: 'plex', hasGuids: true };
+  }
+
+  if (plexData?.showExternalIds) {
+    const mapping = await sendMessage({ action: 'resolveExternalIds', externalIds: plexData.showExternalIds });
+    return { tmdbId: mapping?.tmdbId || null, source: mapping?.source || null, hasGuids: true };
+  }
+
+  return { tmdbId: null, source: null, hasGuids: false };
+}
+
+/**
+ * Edit a show's metadata through the section edit endpoint (PUT /library/sections/<key>/all).
+ * @param {string} sectionKey - Library section key
+ * @param {string} ratingKey - Show ratingKey
+ * @param {Object<string,string|number>} fields - Plex edit parameters, e.g. { 'summary.value': '...' }
+ */
+export async function editPlexShow(sectionKey, ratingKey, fields) {
+  await sendMessage({
+    action: 'fetchPlexServerPath',
+    method: 'PUT',
+    path: `/library/sections/${sectionKey}/all`,
+    params: { type: 2, id: ratingKey, ...fields }
+  });
+}
@@ -0,0 +1,332 @@
+// Serializd-Plex Plex Metadata
+// Parsing helpers for Plex Media Server responses, shared by the content script and the extension pages.
+// MediaContainer responses (XML or JSON) become PlexItem objects; ID lookups read from those.
+
+const PLEX_ITEM_TYPES = ['show', 'season', 'episode', 'movie'];
+const PLEX_ITEM_TAGS = ['Directory', 'Video'];
+
+/**
+ * One metadata item of a MediaContainer response, from XML or JSON alike.
+ * Shows, seasons and episodes share this shape; fields that don't apply to a type are null.
+ * @typedef {Object} PlexItem
+ * @property {string|null} type - show, season, episode, movie, …
+ * @property {string|null} ratingKey
+ * @property {string|null} key
+ * @property {string} title
+ * @property {number|null} year
+ * @property {number|null} index - Season number of a season, episode number of an episode
+ * @property {string|null} guid - Agent GUID (plex://…, or com.plexapp.agents.…:// on legacy agents)
+ * @property {string[]} guids - External IDs from the item's own Guid children (tmdb://…, tvdb://…, imdb://…)
+ * @property {string|null} parentRatingKey
+ * @property {string|null} parentGuid
+ * @property {string|null} parentTitle
+ * @property {number|null} parentIndex - Season number of an episode
+ * @property {string|null} grandparentRatingKey
+ * @property {string|null} grandparentGuid
+ * @property {string|null} grandparentTitle
+ * @property {number} viewCount
+ * @property {number|null} lastViewedAt
+ * @property {string} summary
+ * @property {string[]} labels - Label tags
+ * @property {string[]} lockedFields - Names of fields locked against agent refreshes
+ */
+
+function toInt(value) {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * @param {(name:string) => string|null} get - Attribute reader
+ * @param {(tag:string) => Array<(name:string) => string|null>} getChildren - Attribute readers of child elements by tag
+ * @returns {PlexItem}
+ */
+function toPlexItem(get, getChildren) {
+  const childValues = (tag, name) => getChildren(tag).map((child) => child(name)).filter(Boolean);
+
+  return {
+    type: get('type'),
+    ratingKey: get('ratingKey'),
+    key: get('key'),
+    title: get('title') || '',
+    year: toInt(get('year')),
+    index: toInt(get('index')),
+    guid: get('guid'),
+    guids: childValues('Guid', 'id'),
+    parentRatingKey: get('parentRatingKey'),
+    parentGuid: get('parentGuid'),
+    parentTitle: get('parentTitle'),
+    parentIndex: toInt(get('parentIndex')),
+    grandparentRatingKey: get('grandparentRatingKey'),
+    grandparentGuid: get('grandparentGuid'),
+    grandparentTitle: get('grandparentTitle'),
+    viewCount: toInt(get('viewCount')) || 0,
+    lastViewedAt: toInt(get('lastViewedAt')),
+    summary: get('summary') || '',
+    labels: childValues('Label', 'tag'),
+    lockedFields: getChildren('Field')
+      .filter((field) => field('locked') === '1' || field('locked') === 'true')
+      .map((field) => field('name'))
+      .filter(Boolean)
+  };
+}
+
+function parseXml(xmlText) {
+  const xmlDoc = new DOMParser().parseFromString(xmlText, 'text/xml');
+  if (xmlDoc.querySelector('parsererror')) {
+    throw new Error('Plex returned malformed XML');
+  }
+  return xmlDoc;
+}
+
+// Only direct children are items; nested elements (Extras, Related hubs) describe other media.
+function fromXmlContainer(xmlDoc) {
+  const container = xmlDoc.documentElement;
+  if (container?.tagName !== 'MediaContainer') {
+    throw new Error('Plex response has no MediaContainer');
+  }
+
+  const elements = Array.from(container.children).filter((child) => PLEX_ITEM_TAGS.includes(child.tagName));
+  return {
+    size: toInt(container.getAttribute('size')),
+    machineIdentifier: container.getAttribute('machineIdentifier'),
+    totalSize: toInt(container.getAttribute('totalSize')),
+    items: elements.map((element) => toPlexItem(
+      (name) => element.getAttribute(name),
+      (tag) => Array.from(element.children)
+        .filter((child) => child.tagName === tag)
+        .map((child) => (name) => child.getAttribute(name))
+    ))
+  };
+}
+
+function fromJsonContainer(json) {
+  const container = json?.MediaContainer;
+  if (!container || typeof container !== 'object') {
+    throw new Error('Plex response has no MediaContainer');
+  }
+
+  const reader = (object) => (name) => (object[name] === undefined || object[name] === null ? null : String(object[name]));
+  const entries = [
+    ...(Array.isArray(container.Metadata) ? container.Metadata : []),
+    ...(Array.isArray(container.Directory) ? container.Directory : [])
+  ];
+  return {
+    size: toInt(container.size),
+    machineIdentifier: typeof container.machineIdentifier === 'string' ? container.machineIdentifier : null,
+    totalSize: toInt(container.totalSize),
+    items: entries.map((entry) => toPlexItem(
+      reader(entry),
+      (tag) => (Array.isArray(entry[tag]) ? entry[tag] : []).filter(Boolean).map(reader)
+    ))
+  };
+}
+
+/**
+ * Parse a Plex MediaContainer response, XML or JSON.
+ * @param {string} text - Plex API response body
+ * @returns {{size:number|null, machineIdentifier:string|null, totalSize:number|null, items:PlexItem[]}}
+ *   machineIdentifier is only sent by some endpoints (/identity, /)
+ * @throws {Error} When the body is not a MediaContainer
+ */
+export function parsePlexMediaContainer(text) {
+  const body = text.trimStart();
+  if (body.startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (e) {
+      throw new Error('Plex returned malformed JSON');
+    }
+    return fromJsonContainer(json);
+  }
+  return fromXmlContainer(parseXml(body));
+}
+
+/**
+ * The item a single-item response (/library/metadata/<ratingKey>) describes.
+ * @param {string} text - Plex API response body
+ * @returns {PlexItem|null}
+ */
+export function parsePlexItem(text) {
+  const { items } = parsePlexMediaContainer(text);
+  return items.find((item) => PLEX_ITEM_TYPES.includes(item.type)) || items[0] || null;
+}
+
+/**
+ * Plex keys of the parent show/season for items whose own metadata lacks show-level GUIDs.
+ * @param {PlexItem|null} item
+ * @returns {string[]}
+ */
+export function getRelatedPlexKeys(item) {
+  const keys = [];
+
+  for (const ratingKey of [item?.grandparentRatingKey, item?.parentRatingKey]) {
+    if (/^\d+$/.test(ratingKey || '') && !keys.includes(`/library/metadata/${ratingKey}`)) {
+      keys.push(`/library/metadata/${ratingKey}`);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * ratingKey of the show a Plex item belongs to: its own for shows, the parent's for seasons,
+ * the grandparent's for episodes.
+ * @param {PlexItem|null} item
+ * @returns {string|null}
+ */
+export function getShowRatingKey(item) {
+  const ratingKey = { show: item?.ratingKey, season: item?.parentRatingKey, episode: item?.grandparentRatingKey }[item?.type];
+  return ratingKey || null;
+}
+
+function parseTmdbId(guidValue) {
+  if (!guidValue || typeof guidValue !== 'string') return null;
+  // tmdb://1396 (new agent Guid) or com.plexapp.agents.themoviedb://1396?lang=en (legacy agent)
+  const match = guidValue.match(/(?:tmdb|themoviedb):\/\/(\d+)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Show-level TVDB/IMDb IDs, resolved to TMDB by the background ID-mapping layer.
+// Legacy agent GUIDs lead with the show ID even on seasons/episodes (thetvdb://81189/1/1).
+function parseExternalIds(guidValues) {
+  const ids = { tvdb: null, imdb: null };
+  for (const guidValue of guidValues) {
+    if (!guidValue) continue;
+    const tvdbMatch = guidValue.match(/(?:^tvdb|thetvdb):\/\/(\d+)/i);
+    const imdbMatch = guidValue.match(/(?:^imdb|\.imdb):\/\/(tt\d+)/i);
+    if (tvdbMatch && !ids.tvdb) ids.tvdb = tvdbMatch[1];
+    if (imdbMatch && !ids.imdb) ids.imdb = imdbMatch[1];
+  }
+  return ids.tvdb || ids.imdb ? ids : null;
+}
+
+/**
+ * Extract TMDB IDs and season/episode context from a Plex item.
+ * - showTmdbId: TMDB show ID used in Serializd show URLs
+ * - seasonTmdbId: TMDB season ID used in Serializd season URLs
+ * - seasonNum/episodeNum: numeric season + episode numbers from Plex
+ * - showExternalIds: show-level TVDB/IMDb IDs for items without a TMDB GUID
+ * @param {PlexItem|null} item
+ * @returns {{showTmdbId:number|null, seasonTmdbId:number|null, seasonNum:number|null, episodeNum:number|null, showExternalIds:{tvdb:string|null, imdb:string|null}|null}|null}
+ */
+export function extractTMDBIdFromPlexItem(item) {
+  if (!item || item.type === 'movie') {
+    return null;
+  }
+
+  // Guid children describe the item itself: the show on shows, the season on seasons.
+  const ownTmdbId = item.guids.map(parseTmdbId).find(Boolean) || parseTmdbId(item.guid);
+
+  let showTmdbId = null;
+  let seasonTmdbId = null;
+  let seasonNum = null;
+  let episodeNum = null;
+  let showExternalIds = null;
+
+  if (item.type === 'season') {
+    seasonNum = item.index;
+    seasonTmdbId = ownTmdbId;
+    showTmdbId = parseTmdbId(item.parentGuid);
+    showExternalIds = parseExternalIds([item.parentGuid]);
+  } else if (item.type === 'episode') {
+    seasonNum = item.parentIndex;
+    episodeNum = item.index;
+    showTmdbId = parseTmdbId(item.grandparentGuid);
+    seasonTmdbId = parseTmdbId(item.parentGuid);
+    showExternalIds = parseExternalIds([item.grandparentGuid]);
+  } else {
+    // Shows, and items of unknown type treated as shows
+    showTmdbId = ownTmdbId;
+    showExternalIds = parseExternalIds([...item.guids, item.guid]);
+  }
+
+  const hasContext =
+    seasonTmdbId !== null ||
+    seasonNum !== null ||
+    episodeNum !== null;
+
+  if (!showTmdbId && !hasContext && !showExternalIds) {
+    return null;
+  }
+
+  return { showTmdbId, seasonTmdbId, seasonNum, episodeNum, showExternalIds };
+}
+
+/**
+ * List the TV show library sections of a server (/library/sections).
+ * @param {string} text - Plex API response (XML or JSON)
+ * @returns {Array<{key:string, title:string}>}
+ */
+export function parsePlexShowSections(text) {
+  return parsePlexMediaContainer(text).items
+    .filter((item) => item.type === 'show' && /^\d+$/.test(item.key || ''))
+    .map((item) => ({ key: item.key, title: item.title || `Section ${item.key}` }));
+}
+
+/**
+ * Read the watched episodes from an episode listing (/library/sections/<key>/all?type=4).
+ * @param {string} text - Plex API response (XML or JSON)
+ * @returns {{episodes:Array<{ratingKey:string, showRatingKey:string, showTitle:string, seasonNum:number, episodeNum:number, lastViewedAt:number|null}>, totalSize:number|null, size:number}}
+ */
+export function parseViewedEpisodes(text) {
+  const container = parsePlexMediaContainer(text);
+  const items = container.items.filter((item) => item.type === 'episode');
+
+  const episodes = items
+    .filter((item) => item.viewCount > 0)
+    .map((item) => ({
+      ratingKey: item.ratingKey,
+      showRatingKey: item.grandparentRatingKey,
+      showTitle: item.grandparentTitle || '',
+      seasonNum: item.parentIndex,
+      episodeNum: item.index,
+      lastViewedAt: item.lastViewedAt
+    }))
+    .filter((episode) => episode.showRatingKey && episode.seasonNum !== null && episode.episodeNum !== null);
+
+  return {
+    episodes,
+    totalSize: container.totalSize,
+    size: items.length
+  };
+}
+
+/**
+ * List the shows of a TV section (/library/sections/<key>/all).
+ * Each show keeps its PlexItem so extractTMDBIdFromPlexItem can read its GUIDs (with includeGuids=1).
+ * @param {string} text - Plex API response (XML or JSON)
+ * @returns {{shows:Array<{ratingKey:string, title:string, year:number|null, item:PlexItem}>, totalSize:number|null, size:number}}
+ */
+export function parsePlexShows(text) {
+  const container = parsePlexMediaContainer(text);
+  const items = container.items.filter((item) => item.type === 'show');
+
+  return {
+    shows: items
+      .filter((item) => /^\d+$/.test(item.ratingKey || ''))
+      .map((item) => ({
+        ratingKey: item.ratingKey,
+        title: item.title,
+        year: item.year,
+        item
+      })),
+    totalSize: container.totalSize,
+    size: items.length
+  };
+}
+
+/**
+ * Editable fields of a single item (/library/metadata/<ratingKey>) used by the Plex write-back.
+ * @param {string} text - Plex API response (XML or JSON)
+ * @returns {{labels:string[], summary:string, lockedFields:string[]}}
+ */
+export function parsePlexItemFields(text) {
+  const item = parsePlexItem(text);
+  if (!item) {
+    throw new Error('Plex item not found');
+  }
+
+  return { labels: item.labels, summary: item.summary, lockedFields: item.lockedFields };
+}
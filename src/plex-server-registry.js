@@ -0,0 +1,110 @@
+// Serializd-Plex Plex Server Registry
+// Every Plex server seen in Plex Web, keyed by machine identifier (the <id> in Plex Web's #!/server/<id>/ URLs):
+// - serverUrl: base URL Plex Web last used for the server
+// - connections: base URLs seen for it, most recent first
+// - token: X-Plex-Token Plex Web last sent to it
+// Lives in storage.session so tokens stay out of the profile on disk. Background script only.
+
+import { parsePlexMediaContainer } from './plex-metadata.js';
+
+const REGISTRY_KEY = 'plex_servers';
+const MAX_CONNECTIONS = 5;
+const REFRESH_INTERVAL_MS = 60000; // Unchanged entries are rewritten at most this often
+
+const identities = new Map(); // serverUrl → Promise<machineIdentifier|null>
+let writeChain = Promise.resolve();
+
+export function isValidPlexToken(token) {
+  if (!token || typeof token !== 'string') return false;
+  return token.length >= 10 && token.length <= 500 && /^\S+$/.test(token);
+}
+
+/**
+ * Ask a server for its machine identifier (/identity needs no token). Remembered per URL while the
+ * background script lives; failures are retried on the next request.
+ * @returns {Promise<string|null>}
+ */
+function identifyPlexServer(serverUrl) {
+  if (!identities.has(serverUrl)) {
+    const identity = fetch(`${serverUrl}/identity`, { headers: { 'Accept': 'application/json' } })
+      .then((response) => (response.ok ? response.text() : null))
+      .then((text) => (text ? parsePlexMediaContainer(text).machineIdentifier : null))
+      .catch(() => null)
+      .then((machineIdentifier) => {
+        if (!machineIdentifier) identities.delete(serverUrl);
+        return machineIdentifier;
+      });
+    identities.set(serverUrl, identity);
+  }
+  return identities.get(serverUrl);
+}
+
+async function readRegistry() {
+  const result = await chrome.storage.session.get(REGISTRY_KEY);
+  return result[REGISTRY_KEY] || {};
+}
+
+/**
+ * Record a server Plex Web talked to.
+ * @param {{serverUrl:string, token:string, fallbackId?:string|null}} server - fallbackId is used when
+ *   the server doesn't answer /identity (e.g. an ID read from the request URL)
+ * @returns {Promise<string|null>} Machine identifier the server is registered under
+ */
+export async function registerPlexServer({ serverUrl, token, fallbackId = null }) {
+  if (!isValidPlexToken(token)) return null;
+
+  const machineIdentifier = (await identifyPlexServer(serverUrl)) || fallbackId;
+  if (!machineIdentifier) return null;
+
+  const write = writeChain.then(async () => {
+    const registry = await readRegistry();
+    const entry = registry[machineIdentifier];
+
+    if (entry?.serverUrl === serverUrl && entry.token === token && Date.now() - entry.seenAt < REFRESH_INTERVAL_MS) {
+      return;
+    }
+
+    registry[machineIdentifier] = {
+      machineIdentifier,
+      serverUrl,
+      connections: [serverUrl, ...(entry?.connections || []).filter((url) => url !== serverUrl)].slice(0, MAX_CONNECTIONS),
+      token,
+      seenAt: Date.now()
+    };
+    await chrome.storage.session.set({ [REGISTRY_KEY]: registry });
+  });
+  writeChain = write.catch(() => {});
+
+  await write;
+  return machineIdentifier;
+}
+
+/**
+ * @param {string} machineIdentifier
+ * @returns {Promise<{machineIdentifier:string, serverUrl:string, connections:string[], token:string, seenAt:number}|null>}
+ */
+export async function getPlexServer(machineIdentifier) {
+  const registry = await readRegistry();
+  return registry[machineIdentifier] || null;
+}
+
+/**
+ * The server registered for a base URL (a request Plex Web sent to it), most recently seen first.
+ * @param {string} serverUrl - Origin of the request
+ * @returns {Promise<Object|null>} Registry entry
+ */
+export async function findPlexServerByUrl(serverUrl) {
+  const entries = Object.values(await readRegistry())
+    .filter((entry) => entry.connections.includes(serverUrl))
+    .sort((a, b) => b.seenAt - a.seenAt);
+  return entries[0] || null;
+}
+
+/**
+ * The server Plex Web used most recently, for extension pages that run outside a Plex tab.
+ * @returns {Promise<Object|null>} Registry entry
+ */
+export async function getLatestPlexServer() {
+  const entries = Object.values(await readRegistry());
+  return entries.reduce((latest, entry) => (!latest || entry.seenAt > latest.seenAt ? entry : latest), null);
+}
@@ -0,0 +1,59 @@
+// Serializd-Plex Request Cache
+// Lets concurrent callers (several Plex tabs, page retries, library scans) share one network request,
+// and keeps results in memory for a short time in front of storage.local.
+// Lives in the background script; everything is lost when the event page unloads, which is fine.
+
+/**
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a result is reused; 0 only shares in-flight requests
+ * @param {number} [options.maxEntries] - Cap on remembered results (oldest dropped first)
+ * @param {(value:any) => boolean} [options.shouldCache] - Results failing this are not remembered
+ * @returns {{run:(key:string, task:() => Promise<any>, runOptions?:{fresh?:boolean}) => Promise<any>, clear:() => void}}
+ */
+export function createRequestCache({ ttlMs, maxEntries = 200, shouldCache = () => true }) {
+  const inFlight = new Map();
+  const results = new Map(); // Insertion order doubles as age order
+
+  function remember(key, value) {
+    if (ttlMs <= 0 || !shouldCache(value)) return;
+
+    results.delete(key);
+    results.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (results.size > maxEntries) {
+      results.delete(results.keys().next().value);
+    }
+  }
+
+  /**
+   * Run task for key unless an identical request is in flight or a recent result exists.
+   * fresh skips remembered results but still joins a request that is already running.
+   */
+  function run(key, task, { fresh = false } = {}) {
+    if (!fresh) {
+      const cached = results.get(key);
+      if (cached && cached.expiresAt > Date.now()) {
+        return Promise.resolve(cached.value);
+      }
+      results.delete(key);
+    }
+
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const request = task().then((value) => {
+      remember(key, value);
+      return value;
+    });
+
+    inFlight.set(key, request);
+    request.finally(() => inFlight.delete(key)).catch(() => {});
+    return request;
+  }
+
+  return {
+    run,
+    clear: () => results.clear()
+  };
+}
@@ -0,0 +1,216 @@
+// Serializd-Plex Scrobbler
+// Opt-in: marks Plex episodes as watched on Serializd once playback passes the configured threshold.
+// Progress comes from Plex Web's /:/timeline reports, seen by the background webRequest listener.
+// The queue and history live in storage.local so pending scrobbles survive background restarts.
+// Items are resolved in the background through the Plex server registry, as soon as they are queued:
+// first the Plex side (show TMDB ID, season/episode numbers), then the Serializd season ID. Items that
+// aren't TV episodes end up in the history as skipped.
+
+export const SCROBBLE_RETRY_ALARM = 'serializd-scrobble-retry';
+
+const QUEUE_KEY = 'scrobble_queue';
+const HISTORY_KEY = 'scrobble_history';
+const MAX_HISTORY_ENTRIES = 200;
+const MAX_ATTEMPTS = 8;
+const DEDUPE_WINDOW_MS = 6 * 60 * 60 * 1000; // Don't scrobble the same item twice within 6 hours
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+const FAILED_RETRY_BASE_MINUTES = 60; // An item that failed all attempts is queued again after this, doubling per failure
+
+let queueChain = Promise.resolve();
+
+/**
+ * Run storage read-modify-write steps one at a time; timeline reports arrive every few seconds.
+ */
+function serialize(task) {
+  const run = queueChain.then(task);
+  queueChain = run.catch(() => {});
+  return run;
+}
+
+async function readList(key) {
+  const result = await chrome.storage.local.get(key);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+/**
+ * Parse a Plex Web timeline report (/:/timeline?ratingKey=...&time=...&duration=...).
+ * @param {string} url - Timeline request URL
+ * @returns {{serverUrl:string, ratingKey:string, plexKey:string, progress:number, state:string|null}|null}
+ */
+export function parseTimelineRequest(url) {
+  try {
+    const urlObj = new URL(url);
+    if (!urlObj.pathname.endsWith('/:/timeline')) return null;
+
+    const ratingKey = urlObj.searchParams.get('ratingKey');
+    const time = parseInt(urlObj.searchParams.get('time'), 10);
+    const duration = parseInt(urlObj.searchParams.get('duration'), 10);
+
+    if (!/^\d+$/.test(ratingKey || '') || !(duration > 0) || isNaN(time)) {
+      return null;
+    }
+
+    return {
+      serverUrl: urlObj.origin,
+      ratingKey,
+      plexKey: urlObj.searchParams.get('key') || `/library/metadata/${ratingKey}`,
+      progress: Math.min(100, (time / duration) * 100),
+      state: urlObj.searchParams.get('state')
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function getDedupeKey(serverUrl, ratingKey) {
+  return `${serverUrl}|${ratingKey}`;
+}
+
+/**
+ * Whether the history already settles an item: logged or skipped within the dedupe window, or failed
+ * recently enough that its backoff hasn't run out. Repeated failures double the wait, up to the window.
+ */
+function isSettledInHistory(history, key, now) {
+  const recent = history.filter((entry) => entry.key === key && now - entry.finishedAt < DEDUPE_WINDOW_MS);
+  if (recent.some((entry) => entry.status !== 'failed')) {
+    return true;
+  }
+  if (recent.length === 0) {
+    return false;
+  }
+
+  const lastFailedAt = Math.max(...recent.map((entry) => entry.finishedAt));
+  const backoffMs = Math.min(DEDUPE_WINDOW_MS, FAILED_RETRY_BASE_MINUTES * 60000 * 2 ** (recent.length - 1));
+  return now - lastFailedAt < backoffMs;
+}
+
+/**
+ * Queue an item that crossed the watched threshold, unless it is already queued or settled in the recent history.
+ * @param {{serverUrl:string, serverId:string|null, ratingKey:string, plexKey:string}} item - serverId is the
+ *   machine identifier the server is registered under
+ * @returns {Promise<boolean>} true when a new queue entry was added
+ */
+export function enqueueScrobble({ serverUrl, serverId, ratingKey, plexKey }) {
+  return serialize(async () => {
+    const key = getDedupeKey(serverUrl, ratingKey);
+    const [queue, history] = await Promise.all([readList(QUEUE_KEY), readList(HISTORY_KEY)]);
+
+    if (queue.some((entry) => entry.key === key)) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (isSettledInHistory(history, key, now)) {
+      return false;
+    }
+
+    queue.push({
+      key,
+      serverUrl,
+      serverId,
+      ratingKey,
+      plexKey,
+      attempts: 0,
+      nextAttemptAt: now,
+      queuedAt: now,
+      plexEpisode: null,
+      episode: null,
+      lastError: null
+    });
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+    return true;
+  });
+}
+
+function getRetryDelayMinutes(attempts) {
+  return Math.min(RETRY_MAX_MINUTES, RETRY_BASE_MINUTES * 2 ** (attempts - 1));
+}
+
+async function appendHistory(entries) {
+  if (entries.length === 0) return;
+
+  const history = await readList(HISTORY_KEY);
+  history.unshift(...entries);
+  await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, MAX_HISTORY_ENTRIES) });
+}
+
+/**
+ * Work through due queue entries.
+ * Entries are resolved on the Plex side, then to Serializd IDs, then logged; each step's result is kept
+ * on the entry so retries pick up where they failed.
+ * Failures back off exponentially and end up in the history as failed after MAX_ATTEMPTS.
+ * @param {Object} handlers
+ * @param {(entry:Object) => Promise<{showTmdbId:number, seasonTmdbId:number|null, seasonNum:number, episodeNum:number}|{skipped:string, title:string|null}>} handlers.resolvePlexItem
+ *   Read the played item from its Plex server; skipped (with the reason) for anything but TV episodes
+ * @param {(plexEpisode:Object) => Promise<{tmdbId:number, seasonTmdbId:number, seasonNum:number, episodeNum:number, showName?:string|null}>} handlers.resolveEpisode
+ *   Resolve Serializd IDs
+ * @param {(episode:Object) => Promise<{success:boolean, loggedIn:boolean, error?:string}>} handlers.logEpisode
+ * @returns {Promise<void>}
+ */
+export function processScrobbleQueue({ resolvePlexItem, resolveEpisode, logEpisode }) {
+  return serialize(async () => {
+    const queue = await readList(QUEUE_KEY);
+    const now = Date.now();
+    const remaining = [];
+    const finished = [];
+
+    for (const entry of queue) {
+      if (entry.nextAttemptAt > now) {
+        remaining.push(entry);
+        continue;
+      }
+
+      try {
+        if (!entry.plexEpisode) {
+          const plexItem = await resolvePlexItem(entry);
+          if (plexItem.skipped) {
+            finished.push({ key: entry.key, status: 'skipped', episode: null, title: plexItem.title, finishedAt: Date.now(), error: plexItem.skipped });
+            continue;
+          }
+          entry.plexEpisode = plexItem;
+        }
+
+        if (!entry.episode) {
+          entry.episode = await resolveEpisode(entry.plexEpisode);
+        }
+
+        const result = await logEpisode(entry.episode);
+        if (!result.success) {
+          throw new Error(result.error || 'Serializd did not accept the log');
+        }
+
+        finished.push({ key: entry.key, status: 'logged', episode: entry.episode, finishedAt: Date.now(), error: null });
+      } catch (error) {
+        entry.attempts += 1;
+        entry.lastError = error?.message || String(error);
+
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          finished.push({ key: entry.key, status: 'failed', episode: entry.episode, finishedAt: Date.now(), error: entry.lastError });
+        } else {
+          entry.nextAttemptAt = Date.now() + getRetryDelayMinutes(entry.attempts) * 60000;
+          remaining.push(entry);
+        }
+      }
+    }
+
+    await chrome.storage.local.set({ [QUEUE_KEY]: remaining });
+    await appendHistory(finished);
+
+    if (remaining.length > 0) {
+      const nextAttemptAt = Math.min(...remaining.map((entry) => entry.nextAttemptAt));
+      chrome.alarms.create(SCROBBLE_RETRY_ALARM, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+    } else {
+      await chrome.alarms.clear(SCROBBLE_RETRY_ALARM);
+    }
+  });
+}
+
+export async function getScrobbleState() {
+  const [queue, history] = await Promise.all([readList(QUEUE_KEY), readList(HISTORY_KEY)]);
+  return { queue, history };
+}
+
+export function clearScrobbleHistory() {
+  return serialize(() => chrome.storage.local.remove(HISTORY_KEY));
+}
@@ -0,0 +1,107 @@
+// Serializd-Plex Serializd API
+// Authenticated writes to Serializd's private JSON API (the same endpoints serializd.com uses).
+// Requests carry the browser's Serializd session cookie; the extension never stores credentials.
+
+export const SERIALIZD_API_BASE = 'https://www.serializd.com/api';
+export const SERIALIZD_LOGIN_URL = 'https://www.serializd.com/login';
+
+import { scheduleSerializdFetch } from './serializd-scheduler.js';
+
+const API_HEADERS = {
+  'Accept': 'application/json',
+  'Content-Type': 'application/json',
+  'X-Requested-With': 'serializd_vercel'
+};
+
+const NOT_LOGGED_IN_ERROR = 'Not logged in to Serializd';
+
+/**
+ * Send a request to the Serializd API with the user's session cookies.
+ * @param {string} path - API path, e.g. "/episode_log/add"
+ * @param {{method?:string, body?:Object}} options
+ * @returns {Promise<{success:boolean, loggedIn:boolean, status:number, data:Object|null, error?:string}>}
+ */
+export async function serializdApiRequest(path, { method = 'GET', body } = {}) {
+  const response = await scheduleSerializdFetch(`${SERIALIZD_API_BASE}${path}`, {
+    method,
+    credentials: 'include',
+    headers: API_HEADERS,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Some endpoints answer with an empty body
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    return { success: false, loggedIn: false, status: response.status, data, error: NOT_LOGGED_IN_ERROR };
+  }
+
+  if (!response.ok) {
+    return {
+      success: false,
+      loggedIn: true,
+      status: response.status,
+      data,
+      error: data?.message || `Serializd API error: ${response.status}`
+    };
+  }
+
+  return { success: true, loggedIn: true, status: response.status, data };
+}
+
+/**
+ * Mark episodes as watched in the user's Serializd diary, optionally with a rating.
+ * @param {{showId:number, seasonId:number, episodeNumbers:number[], rating?:number|null}} entry
+ *   rating is on Serializd's 5-star scale (half-star steps); null/0 logs without a rating
+ * @returns {Promise<{success:boolean, loggedIn:boolean, rated:boolean, error?:string}>}
+ */
+export async function logSerializdEpisodes({ showId, seasonId, episodeNumbers, rating = null }) {
+  const logResult = await serializdApiRequest('/episode_log/add', {
+    method: 'POST',
+    body: {
+      show_id: showId,
+      season_id: seasonId,
+      episode_numbers: episodeNumbers
+    }
+  });
+
+  if (!logResult.success) {
+    return { success: false, loggedIn: logResult.loggedIn, rated: false, error: logResult.error };
+  }
+
+  if (!rating) {
+    return { success: true, loggedIn: true, rated: false };
+  }
+
+  // Serializd stores ratings out of 10; a rating is a review without text.
+  const reviewResults = await Promise.all(episodeNumbers.map((episodeNumber) =>
+    serializdApiRequest('/show/reviews/add', {
+      method: 'POST',
+      body: {
+        show_id: showId,
+        season_id: seasonId,
+        episode_number: episodeNumber,
+        rating: Math.round(rating * 2),
+        review_text: '',
+        contains_spoiler: false,
+        is_rewatch: false
+      }
+    })
+  ));
+
+  const failedReview = reviewResults.find((result) => !result.success);
+  if (failedReview) {
+    return {
+      success: true,
+      loggedIn: failedReview.loggedIn,
+      rated: false,
+      error: `Logged, but the rating was not saved: ${failedReview.error}`
+    };
+  }
+
+  return { success: true, loggedIn: true, rated: true };
+}
@@ -0,0 +1,140 @@
+// Serializd-Plex Serializd Page Parser
+// Reads ratings and show data out of serializd.com pages. Serializd ships no public API for this, so
+// the page props are looked for in two places:
+// 1. next-data: the `__NEXT_DATA__` script of the server-rendered page
+// 2. next-data-route: the `/_next/data/<buildId>/<path>.json` route Next.js serves the same page props from
+// Results name the strategy that worked. When neither recognises the page, callers get a structured
+// "parser outdated" result instead of a silent miss.
+
+export const SERIALIZD_PARSER_VERSION = 2; // 1 read __NEXT_DATA__ only
+
+const SERIALIZD_ORIGIN = 'https://www.serializd.com';
+const PARSER_OUTDATED_MESSAGE = 'Serializd changed its page format; ratings can\'t be read until the extension is updated';
+
+function pickNumber(...values) {
+  return values.find((value) => typeof value === 'number' && !isNaN(value)) ?? null;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Strategy 1: page props embedded in the server-rendered page.
+ * @returns {Object|null} pageProps
+ */
+function fromNextData(html) {
+  const match = html.match(/<script id="__NEXT_DATA__"[^>]*>(.*?)<\/script>/s);
+  return match ? parseJson(match[1])?.props?.pageProps || null : null;
+}
+
+/**
+ * Strategy 2: the same page props from Next.js's data route, for pages that stop inlining them.
+ * The build ID comes from the page's static asset URLs.
+ * @returns {Promise<Object|null>} pageProps
+ */
+async function fromNextDataRoute(html, path, fetchJson) {
+  const buildId =
+    html.match(/"buildId"\s*:\s*"([^"]+)"/)?.[1] ||
+    html.match(/\/_next\/static\/([^/"']+)\/_(?:buildManifest|ssgManifest)\.js/)?.[1];
+  if (!buildId || !fetchJson) return null;
+
+  try {
+    const json = await fetchJson(`${SERIALIZD_ORIGIN}/_next/data/${encodeURIComponent(buildId)}${path}.json`);
+    return json?.pageProps || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Page props from the first strategy that provides them (next-data, then next-data-route).
+ * @param {string} html - Serializd page HTML
+ * @param {{path:string, fetchJson?:(url:string) => Promise<Object|null>}} options - Page path, JSON fetcher for the data route
+ * @returns {Promise<{strategy:string, pageProps:Object}|null>}
+ */
+async function findSerializdPageProps(html, { path, fetchJson }) {
+  const embedded = fromNextData(html);
+  if (embedded) {
+    return { strategy: 'next-data', pageProps: embedded };
+  }
+
+  const routed = await fromNextDataRoute(html, path, fetchJson);
+  if (routed) {
+    return { strategy: 'next-data-route', pageProps: routed };
+  }
+
+  return null;
+}
+
+function parserOutdated(tried) {
+  return {
+    ok: false,
+    parserOutdated: true,
+    parserVersion: SERIALIZD_PARSER_VERSION,
+    strategiesTried: tried,
+    error: PARSER_OUTDATED_MESSAGE
+  };
+}
+
+/**
+ * Keep the extra show fields the badge popover displays.
+ * Per-season averages are out of 10, like the show average.
+ * @param {Object} data - pageProps.data of a Serializd show page
+ * @param {Object[]} seasons - showDetails.seasons
+ * @returns {{name:string|null, ratingCount:number|null, seasons:Array<{seasonNumber:number, name:string|null, averageRating:number|null}>}}
+ */
+function extractShowDetails(data, seasons) {
+  const showDetails = data?.showDetails || {};
+  const seasonRatings = data?.seasonAverageRatings || {};
+
+  return {
+    name: typeof showDetails.name === 'string' ? showDetails.name : null,
+    ratingCount: pickNumber(data?.numberOfRatings, data?.ratingCount, data?.totalRatings),
+    seasons: seasons
+      .filter((season) => Number.isInteger(season?.seasonNumber))
+      .map((season) => ({
+        seasonNumber: season.seasonNumber,
+        name: typeof season.name === 'string' ? season.name : null,
+        averageRating: pickNumber(season.averageRating, seasonRatings[season.id], seasonRatings[season.seasonNumber])
+      }))
+  };
+}
+
+/**
+ * Parse a show page (/show/<tmdbId>).
+ * seasonMap maps season numbers to season TMDB IDs.
+ * @param {string} html - Serializd page HTML
+ * @param {{path:string, fetchJson?:(url:string) => Promise<Object|null>}} options
+ * @returns {Promise<{ok:true, strategy:string, parserVersion:number, averageRating:number|null, seasonMap:Object, details:Object}|{ok:false, parserOutdated:true, error:string, strategiesTried:string[], parserVersion:number}>}
+ *   averageRating is out of 10; null when the show has no ratings yet
+ */
+export async function parseSerializdShowPage(html, options) {
+  const found = await findSerializdPageProps(html, options);
+  const data = found?.pageProps?.data;
+
+  if (data?.showDetails) {
+    const seasons = Array.isArray(data.showDetails.seasons) ? data.showDetails.seasons : [];
+    const seasonMap = {};
+    for (const season of seasons) {
+      if (Number.isInteger(season?.seasonNumber) && Number.isInteger(season?.id)) {
+        seasonMap[season.seasonNumber] = season.id;
+      }
+    }
+
+    return {
+      ok: true,
+      strategy: found.strategy,
+      parserVersion: SERIALIZD_PARSER_VERSION,
+      averageRating: pickNumber(data.averageRating),
+      seasonMap,
+      details: extractShowDetails(data, seasons)
+    };
+  }
+
+  return parserOutdated(['next-data', 'next-data-route']);
+}
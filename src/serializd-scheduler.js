@@ -0,0 +1,112 @@
+// Serializd-Plex Serializd Request Scheduler
+// Every request the background script sends to serializd.com goes through scheduleSerializdFetch:
+// - at most `serializdRequestsPerMinute` requests per rolling minute
+// - 429/5xx responses pause all Serializd traffic, for Retry-After when given, else exponential backoff with jitter
+// - a request waits out short pauses and retries; longer pauses fail fast with SerializdUnavailableError
+
+const WINDOW_MS = 60000;
+const MAX_INLINE_WAIT_MS = 20000; // Longer pauses are reported as "unavailable" instead of holding the caller
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 10 * 60000;
+
+let requestsPerMinute = 30;
+let sentAt = [];
+let pausedUntil = 0;
+let consecutiveFailures = 0;
+let slotChain = Promise.resolve();
+
+export class SerializdUnavailableError extends Error {
+  constructor(retryAt) {
+    super('Serializd temporarily unavailable');
+    this.name = 'SerializdUnavailableError';
+    this.retryAt = retryAt;
+  }
+}
+
+export function configureSerializdScheduler(settings) {
+  requestsPerMinute = settings.serializdRequestsPerMinute;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date.
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getBackoffMs() {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (consecutiveFailures - 1));
+  return delay * (0.75 + Math.random() * 0.5);
+}
+
+async function acquireSlot() {
+  for (;;) {
+    const now = Date.now();
+
+    if (pausedUntil > now) {
+      if (pausedUntil - now > MAX_INLINE_WAIT_MS) {
+        throw new SerializdUnavailableError(pausedUntil);
+      }
+      await sleep(pausedUntil - now);
+      continue;
+    }
+
+    sentAt = sentAt.filter((time) => now - time < WINDOW_MS);
+    if (sentAt.length < requestsPerMinute) {
+      sentAt.push(now);
+      return;
+    }
+
+    await sleep(sentAt[0] + WINDOW_MS - now);
+  }
+}
+
+/**
+ * Wait for a free slot; callers are served in order.
+ */
+function waitForSlot() {
+  const slot = slotChain.then(acquireSlot);
+  slotChain = slot.catch(() => {});
+  return slot;
+}
+
+/**
+ * fetch() for serializd.com, within the request budget and backing off when Serializd refuses.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>} Any response other than 429/5xx (404s included)
+ * @throws {SerializdUnavailableError} When Serializd keeps refusing or is paused for longer than a short wait
+ */
+export async function scheduleSerializdFetch(url, init) {
+  for (let attempt = 1; ; attempt++) {
+    await waitForSlot();
+
+    const response = await fetch(url, init);
+    if (response.status !== 429 && response.status < 500) {
+      consecutiveFailures = 0;
+      return response;
+    }
+
+    consecutiveFailures += 1;
+    const delayMs = parseRetryAfter(response.headers.get('Retry-After')) ?? getBackoffMs();
+    pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+
+    if (attempt >= MAX_ATTEMPTS || delayMs > MAX_INLINE_WAIT_MS) {
+      throw new SerializdUnavailableError(pausedUntil);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+// Serializd-Plex Settings
+// Shared between the content script, background script and options page.
+// Stored as a single object in chrome.storage.sync so it follows the Firefox profile.
+
+import { normalizeCustomOrigin, MAX_CUSTOM_HOSTS } from './plex-hosts.js';
+
+export const SETTINGS_STORAGE_KEY = 'settings';
+
+export const BADGE_PLACEMENTS = ['auto', 'title'];
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  ratingScale: 5, // 5 or 10
+  ratingPrecision: 2, // decimals shown in badges (0-2)
+  showCacheTtlDays: 7,
+  serverCacheTtlMinutes: 10,
+  serializdRequestsPerMinute: 30, // budget for background requests to serializd.com
+  deepLinks: true, // link season/episode pages to their Serializd season/episode
+  badgePlacement: 'auto', // 'auto' (ratings row) or 'title' (below the title)
+  customHosts: [], // extra Plex Web/server origins, granted via optional host permissions
+  scrobbleEnabled: false, // opt-in: mark finished episodes as watched on Serializd
+  scrobbleThreshold: 90, // playback progress (%) that counts as finished
+  tmdbApiKey: '', // optional; enables TMDB find-by-external-ID for TVDB/IMDb-only shows
+  idMappingTableUrl: '' // optional; newer ID-mapping table fetched weekly in place of the bundled one
+});
+
+function normalizeCustomHosts(value) {
+  if (!Array.isArray(value)) return [];
+
+  const origins = value.map(normalizeCustomOrigin).filter(Boolean);
+  return [...new Set(origins)].slice(0, MAX_CUSTOM_HOSTS);
+}
+
+function normalizeHttpsUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return '';
+
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'https:' ? url.toString() : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function clampInteger(value, min, max, fallback) {
+  const num = parseInt(value, 10);
+  if (isNaN(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * Coerce stored (or user-entered) settings into a complete, valid settings object.
+ * Unknown keys are dropped; invalid values fall back to defaults.
+ * @param {Object} raw - Partial settings
+ * @returns {Object} Normalized settings
+ */
+export function normalizeSettings(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+
+  return {
+    ratingScale: parseInt(source.ratingScale, 10) === 10 ? 10 : 5,
+    ratingPrecision: clampInteger(source.ratingPrecision, 0, 2, DEFAULT_SETTINGS.ratingPrecision),
+    showCacheTtlDays: clampInteger(source.showCacheTtlDays, 1, 90, DEFAULT_SETTINGS.showCacheTtlDays),
+    serverCacheTtlMinutes: clampInteger(source.serverCacheTtlMinutes, 1, 1440, DEFAULT_SETTINGS.serverCacheTtlMinutes),
+    serializdRequestsPerMinute: clampInteger(
+      source.serializdRequestsPerMinute, 5, 120, DEFAULT_SETTINGS.serializdRequestsPerMinute
+    ),
+    deepLinks: typeof source.deepLinks === 'boolean' ? source.deepLinks : DEFAULT_SETTINGS.deepLinks,
+    badgePlacement: BADGE_PLACEMENTS.includes(source.badgePlacement)
+      ? source.badgePlacement
+      : DEFAULT_SETTINGS.badgePlacement,
+    customHosts: normalizeCustomHosts(source.customHosts),
+    scrobbleEnabled: source.scrobbleEnabled === true,
+    scrobbleThreshold: clampInteger(source.scrobbleThreshold, 50, 100, DEFAULT_SETTINGS.scrobbleThreshold),
+    tmdbApiKey: typeof source.tmdbApiKey === 'string' ? source.tmdbApiKey.trim().slice(0, 256) : '',
+    idMappingTableUrl: normalizeHttpsUrl(source.idMappingTableUrl)
+  };
+}
+
+export async function loadSettings() {
+  try {
+    const result = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+    return normalizeSettings(result[SETTINGS_STORAGE_KEY]);
+  } catch (error) {
+    return normalizeSettings();
+  }
+}
+
+export async function saveSettings(partial) {
+  const current = await loadSettings();
+  const next = normalizeSettings({ ...current, ...partial });
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: next });
+  return next;
+}
+
+/**
+ * Subscribe to settings changes made from any context (e.g. the options page).
+ * @param {(settings:Object) => void} callback - Receives the normalized new settings
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !changes[SETTINGS_STORAGE_KEY]) return;
+    callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+  });
+}
+
+/**
+ * Format a Serializd rating for display.
+ * @param {number} ratingOutOf5 - Rating on Serializd's 5-star scale
+ * @param {Object} settings - Normalized settings
+ * @returns {string}
+ */
+export function formatRating(ratingOutOf5, settings) {
+  const value = settings.ratingScale === 10 ? ratingOutOf5 * 2 : ratingOutOf5;
+  return value.toFixed(settings.ratingPrecision);
+}
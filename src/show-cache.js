@@ -0,0 +1,293 @@
+// Serializd-Plex Show Cache
+// Two indexes in storage.local, one storage key per entry so a page view only reads/writes what it uses:
+// - `plex_show_id:<serverId>:<ratingKey>`: Plex item → show TMDB ID
+// - `serializd_show:<tmdbId>`: Serializd data per show
+// Items of different shows never share a key, so cached data is safe on show, season and episode pages.
+// Serializd data outlives its TTL by STALE_RETENTION_SECONDS so badges can render it while it is refreshed.
+// `show_cache_index` lists the keys of both, so pruning, stats and clearing read only the cache, not all of storage.
+// The background script prunes expired and least-recently-used entries (pruneShowCache).
+
+const SHOW_ID_PREFIX = 'plex_show_id:';
+const SERIALIZD_SHOW_PREFIX = 'serializd_show:';
+const MAX_SHOW_ID_ENTRIES = 5000;
+const MAX_SERIALIZD_SHOW_ENTRIES = 2000;
+const ACCESS_TOUCH_INTERVAL_SECONDS = 3600; // Refresh LRU order at most hourly per entry
+const STALE_RETENTION_SECONDS = 30 * 86400;
+const SHOW_CACHE_INDEX_KEY = 'show_cache_index';
+
+// Released single-object format ("<title>-<year>" keys), migrated to per-entry keys on first use
+const LEGACY_SHOW_CACHE_KEY = 'cached_shows';
+
+let migration = null;
+let indexUpdate = Promise.resolve();
+
+function getCurrentTimestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function isFresh(entry, ttl) {
+  return !!entry?.timestamp && getCurrentTimestamp() - entry.timestamp <= ttl;
+}
+
+function getShowIdKey(serverId, ratingKey) {
+  return `${SHOW_ID_PREFIX}${serverId}:${ratingKey}`;
+}
+
+function getSerializdShowKey(tmdbId) {
+  return `${SERIALIZD_SHOW_PREFIX}${tmdbId}`;
+}
+
+function isShowCacheKey(key) {
+  return key.startsWith(SHOW_ID_PREFIX) || key.startsWith(SERIALIZD_SHOW_PREFIX);
+}
+
+/**
+ * Add and remove keys in the index. Updates from this context run one at a time so they don't overwrite each other.
+ * @param {string[]} added
+ * @param {string[]} removed
+ */
+function updateShowCacheIndex(added, removed = []) {
+  const update = indexUpdate.then(async () => {
+    const result = await chrome.storage.local.get(SHOW_CACHE_INDEX_KEY);
+    const keys = new Set(result[SHOW_CACHE_INDEX_KEY] || []);
+    const size = keys.size;
+
+    added.forEach((key) => keys.add(key));
+    const grew = keys.size !== size;
+    const shrank = removed.filter((key) => keys.delete(key)).length > 0;
+    if (grew || shrank) {
+      await chrome.storage.local.set({ [SHOW_CACHE_INDEX_KEY]: [...keys] });
+    }
+  });
+  indexUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Build the index for entries written before it existed (one full read of storage, once per profile),
+ * then split the old single-object cache into per-entry keys.
+ * Title-year entries can't say which Plex item they came from, so only their Serializd data is kept.
+ */
+async function migrateLegacyShowCache() {
+  const result = await chrome.storage.local.get([SHOW_CACHE_INDEX_KEY, LEGACY_SHOW_CACHE_KEY]);
+  if (!result[SHOW_CACHE_INDEX_KEY]) {
+    const all = await chrome.storage.local.get(null);
+    await chrome.storage.local.set({ [SHOW_CACHE_INDEX_KEY]: Object.keys(all).filter(isShowCacheKey) });
+  }
+  if (!result[LEGACY_SHOW_CACHE_KEY]) return;
+
+  const entries = {};
+  const addShow = (entry) => {
+    if (!entry?.tmdbId) return;
+
+    const key = getSerializdShowKey(entry.tmdbId);
+    if (entries[key] && entries[key].timestamp >= entry.timestamp) return;
+
+    const { tmdbId, rating, seasonMap, details, timestamp } = entry;
+    entries[key] = { tmdbId, rating, seasonMap, details, timestamp, accessedAt: timestamp };
+  };
+
+  Object.values(result[LEGACY_SHOW_CACHE_KEY]).forEach(addShow);
+
+  await chrome.storage.local.set(entries);
+  await updateShowCacheIndex(Object.keys(entries));
+  await chrome.storage.local.remove(LEGACY_SHOW_CACHE_KEY);
+}
+
+function ensureMigrated() {
+  if (!migration) {
+    migration = migrateLegacyShowCache().catch((error) => {
+      console.error('Serializd-Plex: Cache migration error:', error?.message || String(error));
+    });
+  }
+  return migration;
+}
+
+/**
+ * Read one entry, bumping its LRU position when it hasn't been touched for a while.
+ * The bump also re-adds the key to the index, in case another context's index update overwrote this one's.
+ */
+async function readEntry(key, ttl) {
+  await ensureMigrated();
+
+  const result = await chrome.storage.local.get(key);
+  const entry = result[key];
+  if (!isFresh(entry, ttl)) {
+    return null;
+  }
+
+  const now = getCurrentTimestamp();
+  if (!entry.accessedAt || now - entry.accessedAt > ACCESS_TOUCH_INTERVAL_SECONDS) {
+    await chrome.storage.local.set({ [key]: { ...entry, accessedAt: now } });
+    await updateShowCacheIndex([key]);
+  }
+
+  return entry;
+}
+
+/**
+ * Read the show TMDB ID cached for a Plex item if it is younger than ttl.
+ * @param {string|null} serverId - Plex server machine identifier
+ * @param {string[]} ratingKeys - Candidate ratingKeys (the item's own, then its show's); first hit wins
+ * @param {number} ttl - Max age in seconds
+ * @returns {Promise<{tmdbId:number, fuzzyMatch:Object|null}|null>}
+ */
+export async function getCachedShowId(serverId, ratingKeys, ttl) {
+  if (!serverId) return null;
+
+  try {
+    for (const ratingKey of ratingKeys) {
+      const entry = await readEntry(getShowIdKey(serverId, ratingKey), ttl);
+      if (entry) {
+        return entry;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Serializd-Plex: Cache read error:', error?.message || String(error));
+    return null;
+  }
+}
+
+/**
+ * Remember which show a Plex item belongs to.
+ * @param {string|null} serverId - Plex server machine identifier
+ * @param {string[]} ratingKeys - Item ratingKeys that all belong to the show
+ * @param {{tmdbId:number, fuzzyMatch?:Object|null}} data
+ */
+export async function cacheShowId(serverId, ratingKeys, { tmdbId, fuzzyMatch = null }) {
+  if (!serverId || ratingKeys.length === 0) return;
+
+  try {
+    await ensureMigrated();
+
+    const now = getCurrentTimestamp();
+    const entries = {};
+    for (const ratingKey of ratingKeys) {
+      entries[getShowIdKey(serverId, ratingKey)] = { tmdbId, fuzzyMatch, timestamp: now, accessedAt: now };
+    }
+    await chrome.storage.local.set(entries);
+    await updateShowCacheIndex(Object.keys(entries));
+  } catch (error) {
+    console.error('Serializd-Plex: Cache write error:', error?.message || String(error));
+  }
+}
+
+export async function cacheRating(tmdbId, data) {
+  try {
+    await ensureMigrated();
+
+    const now = getCurrentTimestamp();
+    const key = getSerializdShowKey(tmdbId);
+    await chrome.storage.local.set({
+      [key]: {
+        ...data,
+        tmdbId,
+        timestamp: now,
+        accessedAt: now
+      }
+    });
+    await updateShowCacheIndex([key]);
+  } catch (error) {
+    console.error('Serializd-Plex: Cache write error:', error?.message || String(error));
+  }
+}
+
+/**
+ * Read a show's Serializd data if it is younger than ttl.
+ * With allowStale, older entries still in the cache are returned too, flagged with stale: true.
+ * @param {number} tmdbId - Show TMDB ID
+ * @param {number} ttl - Max age in seconds
+ * @param {{allowStale?:boolean}} options
+ * @returns {Promise<Object|null>}
+ */
+export async function getCachedRating(tmdbId, ttl, { allowStale = false } = {}) {
+  try {
+    const entry = await readEntry(getSerializdShowKey(tmdbId), allowStale ? ttl + STALE_RETENTION_SECONDS : ttl);
+    if (!entry) return null;
+
+    return { ...entry, stale: !isFresh(entry, ttl) };
+  } catch (error) {
+    console.error('Serializd-Plex: Cache read error:', error?.message || String(error));
+    return null;
+  }
+}
+
+/**
+ * Read every entry the index lists. Keys whose entry is gone are dropped from the index.
+ */
+async function readAllShowCacheEntries() {
+  await ensureMigrated();
+
+  const result = await chrome.storage.local.get(SHOW_CACHE_INDEX_KEY);
+  const keys = result[SHOW_CACHE_INDEX_KEY] || [];
+  if (keys.length === 0) return [];
+
+  const entries = await chrome.storage.local.get(keys);
+  const missing = keys.filter((key) => !(key in entries));
+  if (missing.length > 0) {
+    await updateShowCacheIndex([], missing);
+  }
+  return Object.entries(entries);
+}
+
+/**
+ * Drop expired entries (Serializd data after its stale retention), then the least recently used ones above the per-index caps.
+ * @param {number} ttl - Max age in seconds
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function pruneShowCache(ttl) {
+  const entries = await readAllShowCacheEntries();
+  const toRemove = [];
+  const live = { [SHOW_ID_PREFIX]: [], [SERIALIZD_SHOW_PREFIX]: [] };
+
+  for (const [key, entry] of entries) {
+    const prefix = key.startsWith(SHOW_ID_PREFIX) ? SHOW_ID_PREFIX : SERIALIZD_SHOW_PREFIX;
+    const maxAge = prefix === SERIALIZD_SHOW_PREFIX ? ttl + STALE_RETENTION_SECONDS : ttl;
+
+    if (!isFresh(entry, maxAge)) {
+      toRemove.push(key);
+    } else {
+      live[prefix].push([key, entry]);
+    }
+  }
+
+  const caps = { [SHOW_ID_PREFIX]: MAX_SHOW_ID_ENTRIES, [SERIALIZD_SHOW_PREFIX]: MAX_SERIALIZD_SHOW_ENTRIES };
+  for (const [prefix, list] of Object.entries(live)) {
+    if (list.length <= caps[prefix]) continue;
+
+    list.sort(([, a], [, b]) => (a.accessedAt || a.timestamp || 0) - (b.accessedAt || b.timestamp || 0));
+    toRemove.push(...list.slice(0, list.length - caps[prefix]).map(([key]) => key));
+  }
+
+  if (toRemove.length > 0) {
+    await chrome.storage.local.remove(toRemove);
+    await updateShowCacheIndex([], toRemove);
+  }
+  return toRemove.length;
+}
+
+/**
+ * @returns {Promise<{shows:number, showIds:number, bytes:number}>} Entry counts and approximate size
+ */
+export async function getShowCacheStats() {
+  const entries = await readAllShowCacheEntries();
+  const encoder = new TextEncoder();
+  let bytes = 0;
+
+  for (const [key, entry] of entries) {
+    bytes += encoder.encode(key).length + encoder.encode(JSON.stringify(entry)).length;
+  }
+
+  return {
+    shows: entries.filter(([key]) => key.startsWith(SERIALIZD_SHOW_PREFIX)).length,
+    showIds: entries.filter(([key]) => key.startsWith(SHOW_ID_PREFIX)).length,
+    bytes
+  };
+}
+
+export async function clearShowCache() {
+  const keys = (await readAllShowCacheEntries()).map(([key]) => key);
+  await chrome.storage.local.remove(keys);
+  await updateShowCacheIndex([], keys);
+}
@@ -0,0 +1,98 @@
+// Serializd-Plex Show Matching
+// Picks the Serializd search result for a Plex title/year when the Plex item carries no TMDB GUID.
+// Pure functions; the background script does the searching and caches the chosen match.
+
+export const FUZZY_MATCH_MIN_SCORE = 0.72;
+
+/**
+ * Comparable form of a title: no accents, punctuation, trailing "(year)" or leading "The".
+ * Also keys the cached match of a title.
+ */
+export function normalizeShowTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*\(\d{4}\)\s*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the\s+/, '')
+    .trim();
+}
+
+function getBigrams(value) {
+  const compact = value.replace(/\s+/g, ' ');
+  const bigrams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Dice coefficient over character bigrams of normalized titles (0..1).
+ */
+function titleSimilarity(a, b) {
+  const left = normalizeShowTitle(a);
+  const right = normalizeShowTitle(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftBigrams = getBigrams(left);
+  const rightBigrams = getBigrams(right);
+  let overlap = 0;
+  let total = 0;
+
+  for (const count of leftBigrams.values()) total += count;
+  for (const count of rightBigrams.values()) total += count;
+
+  for (const [bigram, count] of leftBigrams) {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  }
+
+  return (2 * overlap) / total;
+}
+
+function yearScore(expectedYear, candidateYear) {
+  if (!expectedYear || !candidateYear) return 0.5;
+
+  const diff = Math.abs(expectedYear - candidateYear);
+  if (diff === 0) return 1;
+  if (diff === 1) return 0.6;
+  return 0;
+}
+
+function parseCandidateYear(candidate) {
+  const value = candidate?.first_air_date || candidate?.firstAirDate || candidate?.premiereDate || candidate?.year;
+  const match = String(value || '').match(/(\d{4})/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Score Serializd search results against a Plex title/year.
+ * Title similarity dominates; the year separates remakes and same-name shows.
+ * @returns {{tmdbId:number, score:number, matchedTitle:string, matchedYear:number|null}|null} null when no
+ *   candidate scores at least FUZZY_MATCH_MIN_SCORE
+ */
+export function pickBestShowCandidate(candidates, title, year) {
+  const expectedYear = parseInt(year, 10) || null;
+  let best = null;
+
+  for (const candidate of candidates) {
+    const tmdbId = parseInt(candidate?.id ?? candidate?.showId, 10);
+    const candidateTitle = candidate?.name || candidate?.title;
+    if (!Number.isInteger(tmdbId) || !candidateTitle) continue;
+
+    const candidateYear = parseCandidateYear(candidate);
+    const score = titleSimilarity(title, candidateTitle) * 0.75 + yearScore(expectedYear, candidateYear) * 0.25;
+
+    if (!best || score > best.score) {
+      best = { tmdbId, score, matchedTitle: candidateTitle, matchedYear: candidateYear };
+    }
+  }
+
+  return best && best.score >= FUZZY_MATCH_MIN_SCORE ? best : null;
+}
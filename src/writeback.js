@@ -0,0 +1,373 @@
+// Serializd-Plex Plex Write-back Page
+// Opt-in: writes Serializd scores into the Plex server so every Plex client (TVs, mobile) can see
+// and filter by them, either as a `serializd:<score>` label or as a line appended to the summary.
+// Every write is recorded in storage.local (`plex_writeback_log`, keyed by server machine identifier and
+// rating key) so it can be undone: undo removes only what was added and restores the field lock it found.
+
+import { loadSettings, formatRating } from './settings.js';
+import { getPlexServerContext, fetchPlexPath, editPlexShow } from './plex-library.js';
+import { parsePlexItemFields } from './plex-metadata.js';
+import { listShowSections, collectSectionShows, createThrottle, resolveShowRating } from './library-scan.js';
+
+const LOG_KEY = 'plex_writeback_log';
+const SERIALIZD_REQUEST_INTERVAL_MS = 1000;
+const PLEX_WRITE_INTERVAL_MS = 200; // Be gentle with small servers (NAS, Raspberry Pi)
+const LABEL_PATTERN = /^serializd:/i;
+const SUMMARY_LINE_PATTERN = /(?:\n\n)?Serializd: [\d.]+\/(?:5|10)$/;
+
+const serverStatus = document.getElementById('server-status');
+const sectionList = document.getElementById('sections');
+const modeSelect = document.getElementById('mode');
+const previewButton = document.getElementById('preview');
+const applyButton = document.getElementById('apply');
+const undoButton = document.getElementById('undo');
+const progress = document.getElementById('progress');
+const summary = document.getElementById('summary');
+const tableBody = document.querySelector('#changes tbody');
+
+let serverId = null;
+let settings = null;
+let changes = [];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getLogKey(ratingKey) {
+  return `${serverId}|${ratingKey}`;
+}
+
+function isServerLogKey(key) {
+  return key.startsWith(`${serverId}|`);
+}
+
+async function readLog() {
+  const result = await chrome.storage.local.get(LOG_KEY);
+  return result[LOG_KEY] || {};
+}
+
+async function writeLog(log) {
+  await chrome.storage.local.set({ [LOG_KEY]: log });
+}
+
+function formatScore(rating) {
+  return formatRating(rating, { ...settings, ratingPrecision: 1 });
+}
+
+function getSelectedSections(sections) {
+  const selected = new Set(
+    Array.from(sectionList.querySelectorAll('input:checked'), (input) => input.value)
+  );
+  return sections.filter((section) => selected.has(section.key));
+}
+
+/**
+ * Work out the edit for one show. Returns null when Plex already shows the current score.
+ */
+function planChange(row, fields, mode) {
+  const score = formatScore(row.rating);
+
+  if (mode === 'label') {
+    const label = `serializd:${score}`;
+    const otherLabels = fields.labels.filter((existing) => !LABEL_PATTERN.test(existing));
+    const currentLabels = fields.labels.filter((existing) => LABEL_PATTERN.test(existing));
+
+    if (currentLabels.length === 1 && currentLabels[0] === label) return null;
+
+    return {
+      ...row,
+      mode,
+      current: currentLabels.join(', ') || '—',
+      next: label,
+      label,
+      labels: [...otherLabels, label],
+      fields,
+      approved: true
+    };
+  }
+
+  const line = `Serializd: ${score}/${settings.ratingScale}`;
+  const baseSummary = fields.summary.replace(SUMMARY_LINE_PATTERN, '');
+  const nextSummary = baseSummary ? `${baseSummary}\n\n${line}` : line;
+
+  if (nextSummary === fields.summary) return null;
+
+  return {
+    ...row,
+    mode,
+    current: fields.summary.match(SUMMARY_LINE_PATTERN)?.[0].trim() || '—',
+    next: line,
+    summary: nextSummary,
+    fields,
+    approved: true
+  };
+}
+
+async function preview() {
+  previewButton.disabled = true;
+  applyButton.disabled = true;
+  changes = [];
+  render();
+
+  try {
+    settings = await loadSettings();
+    const mode = modeSelect.value;
+    const options = { ttl: settings.showCacheTtlDays * 86400, throttle: createThrottle(SERIALIZD_REQUEST_INTERVAL_MS) };
+    const sections = getSelectedSections(await listShowSections());
+    let skipped = 0;
+    let unavailable = 0;
+
+    if (sections.length === 0) {
+      progress.textContent = 'Pick at least one library.';
+      return;
+    }
+
+    for (const section of sections) {
+      const shows = await collectSectionShows(section, (count) => {
+        progress.textContent = `Reading "${section.title}" (${count} shows so far)…`;
+      });
+
+      for (const [index, show] of shows.entries()) {
+        progress.textContent = `Checking "${section.title}" ${index + 1}/${shows.length}: ${show.title}`;
+
+        const row = await resolveShowRating(show, options);
+        if (row.status === 'unavailable') {
+          unavailable += 1;
+          continue;
+        }
+        if (row.status !== 'matched') {
+          skipped += 1;
+          continue;
+        }
+
+        const fields = parsePlexItemFields(await fetchPlexPath(`/library/metadata/${show.ratingKey}`));
+        const change = planChange(row, fields, mode);
+        if (change) changes.push(change);
+      }
+    }
+
+    progress.textContent =
+      `Preview ready: ${changes.length} shows would change. ` +
+      `${skipped} shows without a Serializd rating are left alone.` +
+      (unavailable ? ` ${unavailable} shows couldn't be checked because Serializd was unavailable; preview again later.` : '');
+  } catch (error) {
+    progress.textContent = `Preview failed: ${error.message}`;
+  } finally {
+    previewButton.disabled = false;
+    render();
+  }
+}
+
+async function applyChange(change, log) {
+  const key = getLogKey(change.ratingKey);
+  const previous = log[key];
+
+  if (change.mode === 'label') {
+    const fields = { 'label.locked': 1 };
+    change.labels.forEach((label, index) => {
+      fields[`label[${index}].tag.tag`] = label;
+    });
+    await editPlexShow(change.sectionKey, change.ratingKey, fields);
+
+    // Keep the lock state from before the first write so undo can restore it.
+    const hasOriginalLock = previous && 'labelLocked' in previous;
+    log[key] = {
+      ...previous,
+      sectionKey: change.sectionKey,
+      ratingKey: change.ratingKey,
+      title: change.title,
+      label: change.label,
+      labelLocked: hasOriginalLock ? previous.labelLocked : change.fields.lockedFields.includes('label'),
+      appliedAt: Date.now()
+    };
+    return;
+  }
+
+  await editPlexShow(change.sectionKey, change.ratingKey, {
+    'summary.value': change.summary,
+    'summary.locked': 1
+  });
+
+  // Keep the summary from before the first write so undo restores the original.
+  const hasOriginal = previous && 'previousSummary' in previous;
+  log[key] = {
+    ...previous,
+    sectionKey: change.sectionKey,
+    ratingKey: change.ratingKey,
+    title: change.title,
+    previousSummary: hasOriginal ? previous.previousSummary : change.fields.summary,
+    summaryLine: change.next,
+    summaryLocked: hasOriginal ? previous.summaryLocked : change.fields.lockedFields.includes('summary'),
+    appliedAt: Date.now()
+  };
+}
+
+async function apply() {
+  applyButton.disabled = true;
+  previewButton.disabled = true;
+
+  const approved = changes.filter((change) => change.approved && change.status !== 'written');
+  const log = await readLog();
+  let failed = 0;
+
+  for (const [index, change] of approved.entries()) {
+    progress.textContent = `Writing ${index + 1}/${approved.length}: ${change.title}`;
+
+    try {
+      await applyChange(change, log);
+      await writeLog(log);
+      change.status = 'written';
+    } catch (error) {
+      change.status = 'failed';
+      change.reason = error.message;
+      failed += 1;
+    }
+
+    await sleep(PLEX_WRITE_INTERVAL_MS);
+  }
+
+  progress.textContent = `Wrote ${approved.length - failed} shows to Plex${failed ? `; ${failed} failed` : ''}.`;
+  previewButton.disabled = false;
+  render();
+  await renderUndoState();
+}
+
+/**
+ * The summary without the line this page added. Edits made in Plex since then are kept; a line that
+ * was changed by hand is left alone.
+ * @returns {string|null} null when the added line is no longer there
+ */
+function removeSummaryLine(summaryText, line) {
+  if (!summaryText.endsWith(line)) return null;
+  return summaryText.slice(0, -line.length).replace(/\n\n$/, '');
+}
+
+async function undoSummary(entry) {
+  const fields = parsePlexItemFields(await fetchPlexPath(`/library/metadata/${entry.ratingKey}`));
+  const restored = removeSummaryLine(fields.summary, entry.summaryLine);
+  if (restored === null) return;
+
+  // Unlock only if the summary is back to what the agent wrote; a summary edited since stays locked.
+  const locked = entry.summaryLocked || restored !== entry.previousSummary;
+  await editPlexShow(entry.sectionKey, entry.ratingKey, {
+    'summary.value': restored,
+    'summary.locked': locked ? 1 : 0
+  });
+}
+
+/**
+ * Remove every label/summary line this page added on the current server.
+ */
+async function undo() {
+  undoButton.disabled = true;
+  const log = await readLog();
+  const entries = Object.entries(log).filter(([key]) => isServerLogKey(key));
+  let failed = 0;
+
+  for (const [index, [key, entry]] of entries.entries()) {
+    progress.textContent = `Undoing ${index + 1}/${entries.length}: ${entry.title}`;
+
+    try {
+      if (entry.label) {
+        await editPlexShow(entry.sectionKey, entry.ratingKey, {
+          'label[].tag.tag-': entry.label,
+          'label.locked': entry.labelLocked ? 1 : 0
+        });
+      }
+
+      if (entry.summaryLine) {
+        await undoSummary(entry);
+      }
+
+      delete log[key];
+      await writeLog(log);
+    } catch (error) {
+      failed += 1;
+    }
+
+    await sleep(PLEX_WRITE_INTERVAL_MS);
+  }
+
+  progress.textContent = `Undid ${entries.length - failed} shows${failed ? `; ${failed} failed (try again)` : ''}.`;
+  changes = [];
+  render();
+  await renderUndoState();
+}
+
+function render() {
+  tableBody.replaceChildren(...changes.map((change) => {
+    const tr = document.createElement('tr');
+    tr.dataset.status = change.status;
+
+    const checkCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = change.approved;
+    checkbox.disabled = change.status === 'written';
+    checkbox.addEventListener('change', () => {
+      change.approved = checkbox.checked;
+      render();
+    });
+    checkCell.appendChild(checkbox);
+    tr.appendChild(checkCell);
+
+    const statusText = change.status === 'written' ? 'written' : change.status === 'failed' ? `failed: ${change.reason}` : '';
+    for (const value of [change.section, `${change.title}${change.year ? ` (${change.year})` : ''}`, change.current, change.next, statusText]) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+
+    return tr;
+  }));
+
+  const pending = changes.filter((change) => change.approved && change.status !== 'written');
+  summary.textContent = changes.length ? `${pending.length} of ${changes.length} changes selected.` : '';
+  applyButton.disabled = pending.length === 0;
+}
+
+async function renderUndoState() {
+  const log = await readLog();
+  const count = Object.keys(log).filter((key) => isServerLogKey(key)).length;
+  undoButton.disabled = count === 0;
+  undoButton.textContent = count ? `Undo all (${count} shows)` : 'Undo all';
+}
+
+async function renderSections() {
+  try {
+    const sections = await listShowSections();
+    sectionList.replaceChildren(...sections.map((section) => {
+      const label = document.createElement('label');
+      label.classList.add('checkbox');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = section.key;
+      label.append(input, section.title);
+      return label;
+    }));
+  } catch (error) {
+    sectionList.textContent = `Could not list libraries: ${error.message}`;
+  }
+}
+
+previewButton.addEventListener('click', preview);
+applyButton.addEventListener('click', apply);
+undoButton.addEventListener('click', undo);
+modeSelect.addEventListener('change', () => {
+  changes = [];
+  render();
+});
+
+getPlexServerContext().then(async (context) => {
+  if (!context) {
+    serverStatus.textContent = 'No Plex server seen yet. Open a show in Plex Web, then reload this page.';
+    previewButton.disabled = true;
+    undoButton.disabled = true;
+    return;
+  }
+
+  serverId = context.serverId;
+  serverStatus.textContent = `Plex server: ${context.serverUrl}`;
+  await renderSections();
+  await renderUndoState();
+});
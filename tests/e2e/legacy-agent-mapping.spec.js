@@ -0,0 +1,56 @@
+/**
+ * Legacy Agent ID Mapping Spec
+ *
+ * Tests that shows matched by the legacy TheTVDB agent (no tmdb:// GUID) still
+ * resolve to a TMDB ID through the bundled offline ID-mapping table.
+ *
+ * Fixture: /library/metadata/10004 carries only com.plexapp.agents.thetvdb://81189,
+ * which the bundled table maps to TMDB 1396.
+ */
+
+import assert from 'node:assert/strict';
+import {
+  resetMetrics,
+  waitForReadiness,
+  waitForBootstrap,
+  waitForInjection,
+  assertNoUnmatchedRequests,
+  assertOfflineGuard,
+  FIXTURE_SERVER
+} from './helpers.mjs';
+
+const LEGACY_TVDB_URL = `${FIXTURE_SERVER}/web/legacy-tvdb#!/server/local/details?key=%2Flibrary%2Fmetadata%2F10004`;
+
+describe('Legacy Agent ID Mapping', function () {
+  beforeEach(async function () {
+    await resetMetrics();
+  });
+
+  afterEach(async function () {
+    await assertNoUnmatchedRequests();
+    await assertOfflineGuard();
+  });
+
+  it('maps a TVDB-only show to its TMDB show URL', async function () {
+    await browser.url(LEGACY_TVDB_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+
+    const link = await waitForInjection(10000);
+
+    assert.ok(link, 'Serializd link should be injected for a TVDB-only show');
+    assert.equal(link.href, 'https://www.serializd.com/show/1396', 'TVDB 81189 should map to TMDB 1396');
+  });
+
+  it('does not mark a table-mapped show as a fuzzy match', async function () {
+    await browser.url(LEGACY_TVDB_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+    await waitForInjection(10000);
+
+    const isFuzzy = await browser.execute(() =>
+      !!document.querySelector('.serializd-rating-container.serializd-fuzzy-match')
+    );
+    assert.equal(isFuzzy, false, 'ID-mapped shows are exact matches');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Library Badges Spec
+ *
+ * Tests library-browse mode: poster cards in grids/hubs get a Serializd badge.
+ *
+ * Contract:
+ * - Each visible poster card linking to a TV show gets one .serializd-poster-badge
+ * - Duplicate links on the same card (poster + title) resolve with a single metadata request
+ * - No details-page badge is injected on library routes
+ * - TV library grids get a Serializd sort/filter control that only changes the DOM
+ */
+
+import assert from 'node:assert/strict';
+import {
+  resetMetrics,
+  getMetrics,
+  waitForReadiness,
+  waitForBootstrap,
+  assertNoUnmatchedRequests,
+  assertOfflineGuard,
+  FIXTURE_SERVER
+} from './helpers.mjs';
+
+const LIBRARY_URL = `${FIXTURE_SERVER}/web/library#!/media/local/com.plexapp.plugins.library?source=1`;
+
+async function getPosterBadges() {
+  return await browser.execute(() => {
+    return Array.from(document.querySelectorAll('[data-testid="cellItem"]')).map((card) => ({
+      ratingKey: card.dataset.serializdRatingKey || null,
+      state: card.dataset.serializdCard || null,
+      badgeCount: card.querySelectorAll('.serializd-poster-badge').length
+    }));
+  });
+}
+
+describe('Library Badges', function () {
+  beforeEach(async function () {
+    await resetMetrics();
+  });
+
+  afterEach(async function () {
+    await assertNoUnmatchedRequests();
+    await assertOfflineGuard();
+  });
+
+  it('overlays a Serializd badge on TV show poster cards', async function () {
+    await browser.url(LIBRARY_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+
+    await browser.waitUntil(async () => {
+      const cards = await getPosterBadges();
+      return cards.length > 0 && cards.every((card) => card.badgeCount === 1);
+    }, {
+      timeout: 10000,
+      interval: 100,
+      timeoutMsg: 'Poster badges were not injected within timeout'
+    });
+
+    const cards = await getPosterBadges();
+    assert.equal(cards[0].ratingKey, '10001', 'Card should be keyed by its Plex ratingKey');
+    assert.equal(cards[0].state, 'done', 'Card lookup should be complete');
+  });
+
+  it('resolves each card with a single metadata request', async function () {
+    await browser.url(LIBRARY_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+
+    await browser.waitUntil(async () => {
+      const cards = await getPosterBadges();
+      return cards.length > 0 && cards.every((card) => card.state === 'done');
+    }, {
+      timeout: 10000,
+      interval: 100,
+      timeoutMsg: 'Poster card lookups did not complete within timeout'
+    });
+
+    const metrics = await getMetrics();
+    const metadataRequests = metrics.requests.filter((req) => req.path === '/library/metadata/10001');
+
+    // One bootstrap request from the fixture page + one lookup for the card.
+    assert.ok(metadataRequests.length <= 2, `Expected at most 2 metadata requests, got ${metadataRequests.length}`);
+  });
+
+  it('does not inject a details-page badge on library routes', async function () {
+    await browser.url(LIBRARY_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+    await browser.pause(1500);
+
+    const hasDetailsBadge = await browser.execute(() => !!document.querySelector('.serializd-link-wrapper'));
+    assert.equal(hasDetailsBadge, false, 'Library routes should only get poster badges');
+  });
+
+  it('filters the library grid by Serializd rating', async function () {
+    await browser.url(LIBRARY_URL);
+    await waitForReadiness();
+    await waitForBootstrap();
+
+    await browser.waitUntil(async () => {
+      const cards = await getPosterBadges();
+      return cards.length > 0 && cards.every((card) => card.state === 'done');
+    }, {
+      timeout: 10000,
+      interval: 100,
+      timeoutMsg: 'Poster card lookups did not complete within timeout'
+    });
+
+    const setViewMode = (mode) => browser.execute((value) => {
+      const select = document.querySelector('.serializd-library-toolbar select');
+      if (!select) return false;
+      select.value = value;
+      select.dispatchEvent(new Event('change'));
+      return true;
+    }, mode);
+
+    const getCardViews = () => browser.execute(() =>
+      Array.from(document.querySelectorAll('[data-testid="cellItem"]')).map((card) => ({
+        rating: card.dataset.serializdRatingValue,
+        hidden: card.classList.contains('serializd-filtered-out')
+      }))
+    );
+
+    assert.equal(await setViewMode('unrated'), true, 'Library grid should have a Serializd control');
+    for (const card of await getCardViews()) {
+      assert.equal(card.hidden, card.rating !== 'none', 'Only unrated shows should be visible in the "unrated" view');
+    }
+
+    await setViewMode('min-4');
+    for (const card of await getCardViews()) {
+      const visible = card.rating !== 'none' && Number(card.rating) >= 4;
+      assert.equal(card.hidden, !visible, 'Shows below the minimum rating should be hidden');
+    }
+
+    await setViewMode('off');
+    const views = await getCardViews();
+    assert.ok(views.every((card) => !card.hidden), 'Turning the view off should restore the grid');
+  });
+});
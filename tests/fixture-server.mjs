@@ -44,6 +44,7 @@ const DENIED_ROUTES = [/\/:\/transcode\//i, /\/:\/timeline\//i];
 const ALLOWED_ROUTES = [
   /^\/web\//i,
   /^\/library\/metadata\//i,
+  /^\/identity$/i,
   /^\/health$/i,
   /^\/__metrics$/i,
   /^\/__metrics\/reset$/i,
@@ -128,6 +129,13 @@ function buildFixtureHtml(pathname, metadataKey = null) {
   let year = pageConfig?.year || '2024';
   let key = metadataKey || pageConfig?.metadataKey || '/library/metadata/99999';
 
+  // Library/hub scenarios render a poster grid instead of a details header
+  const body = Array.isArray(pageConfig?.cards)
+    ? buildPosterGridHtml(pageConfig.cards)
+    : `<div data-testid="metadata-title">${title}</div>
+    <div data-testid="metadata-line1">${year}</div>
+    <div data-testid="metadata-ratings"></div>`;
+
   return `<!doctype html>
 <html>
   <head>
@@ -136,9 +144,7 @@ function buildFixtureHtml(pathname, metadataKey = null) {
     <link rel="icon" href="data:," />
   </head>
   <body>
-    <div data-testid="metadata-title">${title}</div>
-    <div data-testid="metadata-line1">${year}</div>
-    <div data-testid="metadata-ratings"></div>
+    ${body}
 
     <script>
       (function bootstrapFixtureRequest() {
@@ -174,6 +180,20 @@ function buildFixtureHtml(pathname, metadataKey = null) {
 </html>`;
 }
 
+function buildPosterGridHtml(cardKeys) {
+  const cards = cardKeys.map((cardKey) => {
+    const href = `#!/server/local/details?key=${encodeURIComponent(cardKey)}`;
+    return `<div data-testid="cellItem" style="width: 150px; height: 225px;">
+        <a href="${href}" data-testid="metadataPoster"><img alt="" src="data:," width="150" height="200" /></a>
+        <a href="${href}" data-testid="metadataTitleLink">${routesConfig[cardKey]?.title || cardKey}</a>
+      </div>`;
+  });
+
+  return `<div data-testid="library-grid">
+      ${cards.join('\n      ')}
+    </div>`;
+}
+
 function buildFallbackMetadataXml(metadataKey) {
   // Fallback for when no fixture file exists
   const keyNum = metadataKey.replace('/library/metadata/', '');
@@ -284,6 +304,12 @@ async function handleRequest(req, res) {
     return res.end(buildFixtureHtml(pathname, decodedKey));
   }
 
+  // Machine identifier matching the /server/local/ segment of the fixture Plex Web URLs
+  if (pathname === '/identity') {
+    recordRequest(req.method, pathname, 200);
+    return sendXml(res, 200, '<?xml version="1.0" encoding="UTF-8"?>\n<MediaContainer size="0" claimed="1" machineIdentifier="local" version="1.40.0.0000"/>');
+  }
+
   if (pathname.startsWith('/library/metadata/')) {
     const result = getMetadataXml(pathname);
     
@@ -0,0 +1,25 @@
+/**
+ * Unit Test Helpers
+ *
+ * Stand-ins for the WebExtension APIs the modules under test touch.
+ */
+
+/**
+ * The part of a chrome.storage area the extension uses, backed by a plain object.
+ * Values are copied in and out like the real storage.
+ * @param {Object} store - Backing object; tests read and seed it directly
+ */
+export function createStorageArea(store) {
+  return {
+    async get(keys) {
+      const wanted = keys === null || keys === undefined ? Object.keys(store) : [].concat(keys);
+      return Object.fromEntries(wanted.filter((key) => key in store).map((key) => [key, structuredClone(store[key])]));
+    },
+    async set(items) {
+      Object.assign(store, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete store[key]);
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * ID Mapping
+ *
+ * TVDB/IMDb → TMDB lookups against an in-memory chrome.storage.local (fetch is stubbed):
+ * - a legacy TheTVDB agent GUID resolves through the bundled table without a TMDB API key
+ * - IDs the table doesn't know go to the TMDB find API only with a key, and aren't remembered without one
+ * - a refreshed table replaces the bundled one when it is at least as new
+ */
+
+import assert from 'node:assert/strict';
+import { createStorageArea } from './helpers.mjs';
+import { parsePlexItem, extractTMDBIdFromPlexItem } from '../../src/plex-metadata.js';
+
+const LEGACY_SHOW_JSON = JSON.stringify({
+  MediaContainer: {
+    size: 1,
+    Metadata: [{
+      ratingKey: '10004',
+      guid: 'com.plexapp.agents.thetvdb://81189?lang=en',
+      type: 'show',
+      title: 'Breaking Bad',
+      year: 2008
+    }]
+  }
+});
+
+const originalFetch = globalThis.fetch;
+let instance = 0;
+let idMapping;
+let store;
+let requests;
+
+/**
+ * Answer fetch() with a JSON body per URL prefix; anything else fails the test.
+ */
+function stubFetch(routes) {
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    const route = Object.keys(routes).find((prefix) => String(url).startsWith(prefix));
+    if (!route) throw new Error(`unexpected request to ${url}`);
+    return new Response(JSON.stringify(routes[route]), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+}
+
+describe('ID mapping', function () {
+  beforeEach(async function () {
+    store = {};
+    requests = [];
+    globalThis.chrome = { storage: { local: createStorageArea(store) } };
+    stubFetch({});
+    idMapping = await import(`../../src/id-mapping.js?instance=${++instance}`);
+  });
+
+  afterEach(function () {
+    globalThis.fetch = originalFetch;
+    delete globalThis.chrome;
+  });
+
+  it('resolves a legacy TVDB GUID through the bundled table without an API key', async function () {
+    const { showExternalIds } = extractTMDBIdFromPlexItem(parsePlexItem(LEGACY_SHOW_JSON));
+
+    const result = await idMapping.resolveTmdbIdFromExternalIds(showExternalIds);
+
+    assert.deepEqual(result, { tmdbId: 1396, source: 'table:tvdb' });
+    assert.equal(requests.length, 0);
+    assert.equal(store.id_mappings['tvdb:81189'].tmdbId, 1396);
+  });
+
+  it('resolves IMDb IDs through the bundled table', async function () {
+    const result = await idMapping.resolveTmdbIdFromExternalIds({ tvdb: null, imdb: 'tt0944947' });
+
+    assert.deepEqual(result, { tmdbId: 1399, source: 'table:imdb' });
+  });
+
+  it('leaves unknown IDs unmapped and unremembered without an API key', async function () {
+    const result = await idMapping.resolveTmdbIdFromExternalIds({ tvdb: '999999999', imdb: null });
+
+    assert.deepEqual(result, { tmdbId: null, source: null });
+    assert.equal(requests.length, 0);
+    assert.equal(store.id_mappings, undefined);
+  });
+
+  it('asks the TMDB find API for IDs the table does not know when a key is set', async function () {
+    stubFetch({ 'https://api.themoviedb.org/3/find/999999999': { tv_results: [{ id: 424242 }] } });
+
+    const result = await idMapping.resolveTmdbIdFromExternalIds({ tvdb: '999999999', imdb: null }, { tmdbApiKey: 'test-key' });
+
+    assert.deepEqual(result, { tmdbId: 424242, source: 'tmdb-api:tvdb' });
+    assert.ok(requests[0].includes('external_source=tvdb_id'));
+  });
+
+  it('uses a refreshed table and drops remembered misses', async function () {
+    const bundled = await idMapping.getIdMappingStatus();
+    store.id_mappings = { 'tvdb:999999999': { tmdbId: null, source: null, timestamp: Math.floor(Date.now() / 1000) } };
+    stubFetch({
+      'https://example.com/id-mapping.json': { version: bundled.version + 1, generated: null, tvdb: { 999999999: 424242 }, imdb: {} }
+    });
+
+    const status = await idMapping.refreshIdMappingTable('https://example.com/id-mapping.json');
+
+    assert.equal(status.bundled, false);
+    assert.equal(status.tvdbCount, 1);
+    assert.deepEqual(store.id_mappings, {});
+    assert.deepEqual(await idMapping.resolveTmdbIdFromExternalIds({ tvdb: '999999999' }), { tmdbId: 424242, source: 'table:tvdb' });
+  });
+
+  it('keeps the bundled table over an older or malformed download', async function () {
+    const bundled = await idMapping.getIdMappingStatus();
+    stubFetch({ 'https://example.com/broken.json': { version: bundled.version + 1, tvdb: [] } });
+
+    await assert.rejects(idMapping.refreshIdMappingTable('https://example.com/broken.json'), /unexpected format/);
+
+    store.id_mapping_table = { version: bundled.version - 1, tvdb: {}, imdb: {} };
+    assert.equal((await idMapping.getIdMappingStatus()).bundled, true);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Library Scan
+ *
+ * resolveShowRating against a stubbed background (chrome.runtime.sendMessage) and an in-memory show cache:
+ * - an unavailable Serializd is reported as unavailable, not as an unrated show, and nothing is cached
+ * - an expired cache entry is replaced by the page fetched for it
+ */
+
+import assert from 'node:assert/strict';
+import { createStorageArea } from './helpers.mjs';
+import { parsePlexItem } from '../../src/plex-metadata.js';
+
+const TTL = 7 * 86400;
+
+const SHOW = {
+  section: 'TV Shows',
+  sectionKey: '2',
+  ratingKey: '10001',
+  title: 'Breaking Bad',
+  year: 2008,
+  item: parsePlexItem(JSON.stringify({
+    MediaContainer: {
+      size: 1,
+      Metadata: [{ ratingKey: '10001', guid: 'plex://show/5d9c086c46115600200aa2fe', type: 'show', title: 'Breaking Bad', year: 2008, Guid: [{ id: 'tmdb://1396' }] }]
+    }
+  }))
+};
+
+let instance = 0;
+let libraryScan;
+let showCache;
+let store;
+let serializdResponse;
+
+const noThrottle = async () => {};
+
+describe('Library scan', function () {
+  beforeEach(async function () {
+    store = {};
+    globalThis.chrome = {
+      storage: { local: createStorageArea(store) },
+      runtime: {
+        lastError: null,
+        sendMessage(message, callback) {
+          assert.equal(message.action, 'fetchSerializdRating');
+          callback(serializdResponse);
+        }
+      }
+    };
+    // Both modules share one show-cache instance, as they do in the built page script.
+    showCache = await import('../../src/show-cache.js');
+    libraryScan = await import(`../../src/library-scan.js?instance=${++instance}`);
+  });
+
+  afterEach(function () {
+    delete globalThis.chrome;
+  });
+
+  it('reports an unavailable Serializd as unavailable and caches nothing', async function () {
+    serializdResponse = { success: false, unavailable: true, error: 'Serializd temporarily unavailable' };
+
+    const row = await libraryScan.resolveShowRating(SHOW, { ttl: TTL, throttle: noThrottle });
+
+    assert.equal(row.status, 'unavailable');
+    assert.equal(row.tmdbId, 1396);
+    assert.equal(row.rating, null);
+    assert.equal(store['serializd_show:1396'], undefined);
+  });
+
+  it('replaces an expired cache entry with the fetched page', async function () {
+    await showCache.cacheRating(1396, { rating: 4.5, seasonMap: {} });
+    store['serializd_show:1396'].timestamp -= TTL + 1;
+    serializdResponse = { success: true, rating: 4.6, seasonMap: { 1: 3572 }, details: null };
+
+    const row = await libraryScan.resolveShowRating(SHOW, { ttl: TTL, throttle: noThrottle });
+
+    assert.equal(row.status, 'matched');
+    assert.equal(row.rating, 4.6);
+    assert.equal(store['serializd_show:1396'].rating, 4.6);
+    assert.deepEqual(store['serializd_show:1396'].seasonMap, { 1: 3572 });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Plex Hosts
+ *
+ * The Plex server allowlist:
+ * - loopback, private LAN ranges, plex.tv and plex.direct are built in
+ * - Plex's metadata hosts are never treated as a media server
+ * - anything else needs to be a granted custom host
+ * - the metadata capture listener only matches item metadata paths on built-in and custom hosts
+ */
+
+import assert from 'node:assert/strict';
+import {
+  BUILT_IN_PLEX_SERVER_MATCH_PATTERNS,
+  isAllowedPlexServerUrl,
+  normalizeCustomOrigin,
+  originToMatchPattern,
+  toPlexMetadataMatchPatterns
+} from '../../src/plex-hosts.js';
+
+describe('Plex host allowlist', function () {
+  it('allows loopback, LAN, plex.tv and plex.direct servers without custom hosts', function () {
+    for (const url of [
+      'http://localhost:32400',
+      'http://127.0.0.1:32400',
+      'http://192.168.1.20:32400',
+      'http://10.0.0.5:32400',
+      'http://172.16.4.2:32400',
+      'http://172.31.255.1:32400',
+      'https://app.plex.tv',
+      'https://192-168-1-20.0123456789abcdef.plex.direct:32400'
+    ]) {
+      assert.equal(isAllowedPlexServerUrl(url), true, url);
+    }
+  });
+
+  it('rejects public addresses and lookalike ranges', function () {
+    for (const url of ['http://100.64.0.7:32400', 'http://172.32.0.1:32400', 'https://plex.tv.example.com', 'https://example.com']) {
+      assert.equal(isAllowedPlexServerUrl(url), false, url);
+    }
+  });
+
+  it('never allows the Plex metadata providers', function () {
+    assert.equal(isAllowedPlexServerUrl('https://metadata.provider.plex.tv/library/metadata/5d9c086c46115600200aa2fe'), false);
+    assert.equal(isAllowedPlexServerUrl('https://discover.provider.plex.tv'), false);
+  });
+
+  it('allows custom hosts by origin', function () {
+    const custom = [normalizeCustomOrigin('http://100.64.0.7:32400/web')];
+
+    assert.equal(isAllowedPlexServerUrl('http://100.64.0.7:32400/library/metadata/1', custom), true);
+    assert.equal(isAllowedPlexServerUrl('http://100.64.0.7:8080', custom), false);
+  });
+
+  it('narrows host patterns to item metadata requests', function () {
+    const patterns = toPlexMetadataMatchPatterns([
+      ...BUILT_IN_PLEX_SERVER_MATCH_PATTERNS,
+      originToMatchPattern('http://100.64.0.7:32400')
+    ]);
+
+    assert.deepEqual(patterns, [
+      'http://127.0.0.1/library/metadata/*',
+      '*://*.plex.direct/library/metadata/*',
+      '*://*.plex.tv/library/metadata/*',
+      'http://100.64.0.7:32400/library/metadata/*'
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Plex MediaContainer Parsing
+ *
+ * XML (Plex's default) and JSON (Accept: application/json) responses must give the same PlexItems:
+ * - the e2e episode fixture and its JSON twin
+ * - Directory/Video items, Guid/Label/Field children, container attributes
+ * - only direct children of the container are items
+ * - bodies without a MediaContainer are rejected
+ * The XML side runs on linkedom's DOMParser, installed as the global the browser would provide.
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { DOMParser } from 'linkedom';
+import {
+  parsePlexMediaContainer,
+  parsePlexItem,
+  parsePlexItemFields,
+  extractTMDBIdFromPlexItem
+} from '../../src/plex-metadata.js';
+
+const PLEX_XML_DIR = new URL('../fixtures/plex/xml/', import.meta.url);
+
+const EPISODE_JSON = JSON.stringify({
+  MediaContainer: {
+    size: 1,
+    Metadata: [{
+      ratingKey: '10003',
+      parentRatingKey: '10002',
+      grandparentRatingKey: '10001',
+      key: '/library/metadata/10003',
+      guid: 'tmdb://62085',
+      parentGuid: 'tmdb://1573',
+      grandparentGuid: 'tmdb://1396',
+      type: 'episode',
+      title: 'Pilot',
+      year: 2008,
+      index: 1,
+      parentIndex: 1,
+      grandparentTitle: 'Breaking Bad',
+      parentTitle: 'Season 1',
+      Guid: [{ id: 'tmdb://62085' }]
+    }]
+  }
+});
+
+const SHOW_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<MediaContainer size="1" totalSize="1">
+  <Directory ratingKey="10001" key="/library/metadata/10001/children" guid="plex://show/5d9c086c46115600200aa2fe" type="show" title="Breaking Bad" year="2008" viewCount="3" lastViewedAt="1700000000" summary="A chemistry teacher.">
+    <Guid id="imdb://tt0903747" />
+    <Guid id="tmdb://1396" />
+    <Guid id="tvdb://81189" />
+    <Label tag="Serializd 9.2" />
+    <Field locked="1" name="label" />
+    <Field locked="0" name="summary" />
+    <Extras size="1">
+      <Video ratingKey="20001" type="clip" title="Trailer" />
+    </Extras>
+  </Directory>
+</MediaContainer>`;
+
+const SHOW_JSON = JSON.stringify({
+  MediaContainer: {
+    size: 1,
+    totalSize: 1,
+    Metadata: [{
+      ratingKey: '10001',
+      key: '/library/metadata/10001/children',
+      guid: 'plex://show/5d9c086c46115600200aa2fe',
+      type: 'show',
+      title: 'Breaking Bad',
+      year: 2008,
+      viewCount: 3,
+      lastViewedAt: 1700000000,
+      summary: 'A chemistry teacher.',
+      Guid: [{ id: 'imdb://tt0903747' }, { id: 'tmdb://1396' }, { id: 'tvdb://81189' }],
+      Label: [{ tag: 'Serializd 9.2' }],
+      Field: [{ locked: true, name: 'label' }, { locked: false, name: 'summary' }],
+      Extras: { size: 1, Metadata: [{ ratingKey: '20001', type: 'clip', title: 'Trailer' }] }
+    }]
+  }
+});
+
+describe('Plex MediaContainer parsing', function () {
+  before(function () {
+    globalThis.DOMParser = DOMParser;
+  });
+
+  after(function () {
+    delete globalThis.DOMParser;
+  });
+
+  it('reads the same episode from XML and JSON', async function () {
+    const xml = parsePlexMediaContainer(await readFile(new URL('episode-10003.xml', PLEX_XML_DIR), 'utf8'));
+    const json = parsePlexMediaContainer(EPISODE_JSON);
+
+    assert.deepEqual(xml, json);
+    assert.equal(xml.size, 1);
+    assert.deepEqual(extractTMDBIdFromPlexItem(xml.items[0]), {
+      showTmdbId: 1396,
+      seasonTmdbId: 1573,
+      seasonNum: 1,
+      episodeNum: 1,
+      showExternalIds: null
+    });
+  });
+
+  it('reads Guid, Label and Field children alike and ignores nested media', function () {
+    const xml = parsePlexMediaContainer(SHOW_XML);
+    const json = parsePlexMediaContainer(SHOW_JSON);
+
+    assert.deepEqual(xml, json);
+    assert.equal(xml.items.length, 1);
+    assert.deepEqual(xml.items[0].guids, ['imdb://tt0903747', 'tmdb://1396', 'tvdb://81189']);
+    assert.equal(xml.items[0].viewCount, 3);
+    assert.equal(xml.items[0].lastViewedAt, 1700000000);
+    assert.deepEqual(parsePlexItemFields(SHOW_XML), {
+      labels: ['Serializd 9.2'],
+      summary: 'A chemistry teacher.',
+      lockedFields: ['label']
+    });
+  });
+
+  it('reads Directory entries of JSON containers', function () {
+    const xml = parsePlexMediaContainer('<MediaContainer size="1"><Directory key="2" type="show" title="TV Shows" /></MediaContainer>');
+    const json = parsePlexMediaContainer('{"MediaContainer":{"size":1,"Directory":[{"key":"2","type":"show","title":"TV Shows"}]}}');
+
+    assert.deepEqual(xml, json);
+    assert.equal(json.items[0].key, '2');
+  });
+
+  it('reads the machine identifier of /identity', function () {
+    const xml = parsePlexMediaContainer('<?xml version="1.0"?>\n<MediaContainer size="0" machineIdentifier="abc123" version="1.40.0" />');
+    const json = parsePlexMediaContainer('{"MediaContainer":{"size":0,"machineIdentifier":"abc123","version":"1.40.0"}}');
+
+    assert.deepEqual(xml, { size: 0, machineIdentifier: 'abc123', totalSize: null, items: [] });
+    assert.deepEqual(json, xml);
+  });
+
+  it('picks the metadata item of a single-item response', function () {
+    const item = parsePlexItem('<MediaContainer size="2"><Directory type="clip" title="Extra" /><Directory type="season" title="Season 1" index="1" /></MediaContainer>');
+
+    assert.equal(item.type, 'season');
+    assert.equal(item.index, 1);
+  });
+
+  it('rejects bodies without a MediaContainer', function () {
+    assert.throws(() => parsePlexMediaContainer('<html><body>Unauthorized</body></html>'), /no MediaContainer/);
+    assert.throws(() => parsePlexMediaContainer('{"errors":[{"code":401}]}'), /no MediaContainer/);
+    assert.throws(() => parsePlexMediaContainer('{"MediaContainer":'), /malformed JSON/);
+  });
+});
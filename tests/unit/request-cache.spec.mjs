@@ -0,0 +1,105 @@
+/**
+ * Request Cache
+ *
+ * Sharing and remembering results (Date.now is stubbed to move the clock):
+ * - concurrent callers share one in-flight request
+ * - results are reused until ttlMs passes, then the task runs again
+ * - the oldest results are evicted past maxEntries; a reused result is not refreshed
+ * - failures and results rejected by shouldCache are not remembered
+ */
+
+import assert from 'node:assert/strict';
+import { createRequestCache } from '../../src/request-cache.js';
+
+const originalNow = Date.now;
+let now;
+
+/**
+ * Task that resolves with `${key}#${call}` and counts its calls.
+ */
+function countingTask(key) {
+  const task = async () => `${key}#${++task.calls}`;
+  task.calls = 0;
+  return task;
+}
+
+describe('Request cache', function () {
+  beforeEach(function () {
+    now = 1000000;
+    Date.now = () => now;
+  });
+
+  afterEach(function () {
+    Date.now = originalNow;
+  });
+
+  it('shares one in-flight request between concurrent callers', async function () {
+    const cache = createRequestCache({ ttlMs: 0 });
+    const task = countingTask('show');
+
+    const results = await Promise.all([cache.run('show', task), cache.run('show', task)]);
+
+    assert.deepEqual(results, ['show#1', 'show#1']);
+    assert.equal(task.calls, 1);
+    assert.equal(await cache.run('show', task), 'show#2', 'ttlMs 0 remembered a result');
+  });
+
+  it('reuses a result until it expires', async function () {
+    const cache = createRequestCache({ ttlMs: 60000 });
+    const task = countingTask('show');
+
+    assert.equal(await cache.run('show', task), 'show#1');
+    now += 59999;
+    assert.equal(await cache.run('show', task), 'show#1');
+    now += 1;
+    assert.equal(await cache.run('show', task), 'show#2');
+    assert.equal(task.calls, 2);
+  });
+
+  it('skips remembered results for fresh runs', async function () {
+    const cache = createRequestCache({ ttlMs: 60000 });
+    const task = countingTask('show');
+
+    await cache.run('show', task);
+    assert.equal(await cache.run('show', task, { fresh: true }), 'show#2');
+    assert.equal(await cache.run('show', task), 'show#2');
+  });
+
+  it('evicts the oldest results past maxEntries', async function () {
+    const cache = createRequestCache({ ttlMs: 60000, maxEntries: 2 });
+    const tasks = { a: countingTask('a'), b: countingTask('b'), c: countingTask('c') };
+
+    await cache.run('a', tasks.a);
+    await cache.run('b', tasks.b);
+    await cache.run('a', tasks.a); // Reading doesn't make `a` any younger
+    await cache.run('c', tasks.c);
+
+    assert.equal(await cache.run('b', tasks.b), 'b#1');
+    assert.equal(await cache.run('c', tasks.c), 'c#1');
+    assert.equal(await cache.run('a', tasks.a), 'a#2');
+  });
+
+  it('does not remember failures or results rejected by shouldCache', async function () {
+    const cache = createRequestCache({ ttlMs: 60000, shouldCache: (value) => !value.error });
+    let calls = 0;
+    const task = async () => (++calls === 1 ? { error: 'unavailable' } : { rating: 8.9 });
+
+    assert.deepEqual(await cache.run('show', task), { error: 'unavailable' });
+    assert.deepEqual(await cache.run('show', task), { rating: 8.9 });
+    assert.deepEqual(await cache.run('show', task), { rating: 8.9 });
+    assert.equal(calls, 2);
+
+    const failing = async () => { throw new Error('network'); };
+    await assert.rejects(cache.run('other', failing), /network/);
+    assert.equal(await cache.run('other', async () => 'ok'), 'ok');
+  });
+
+  it('forgets everything on clear', async function () {
+    const cache = createRequestCache({ ttlMs: 60000 });
+    const task = countingTask('show');
+
+    await cache.run('show', task);
+    cache.clear();
+    assert.equal(await cache.run('show', task), 'show#2');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Scrobbler
+ *
+ * Queue and history dedupe against an in-memory chrome.storage.local (Date.now is stubbed to move the clock):
+ * - repeated timeline reports for an item that was skipped (a movie) leave a single history entry
+ * - logged items aren't queued again within the dedupe window
+ * - items that failed every attempt are queued again only after a backoff that grows per failure
+ */
+
+import assert from 'node:assert/strict';
+import { createStorageArea } from './helpers.mjs';
+
+const SERVER_URL = 'http://127.0.0.1:32400';
+const HOUR = 3600 * 1000;
+const TIMELINE_INTERVAL = 10 * 1000;
+
+const originalNow = Date.now;
+let instance = 0;
+let scrobbler;
+let store;
+let now;
+
+function timelineUrl(ratingKey, time, duration = 6000000) {
+  return `${SERVER_URL}/:/timeline?ratingKey=${ratingKey}&key=%2Flibrary%2Fmetadata%2F${ratingKey}&state=playing&time=${time}&duration=${duration}`;
+}
+
+/**
+ * Feed a timeline report the way the background listener does once progress passes the threshold.
+ */
+function report(url) {
+  const timeline = scrobbler.parseTimelineRequest(url);
+  return scrobbler.enqueueScrobble({ ...timeline, serverId: 'server-a' });
+}
+
+const skipMovie = {
+  resolvePlexItem: async () => ({ skipped: 'Not a TV episode', title: 'Heat' }),
+  resolveEpisode: async () => assert.fail('movies are not resolved on Serializd'),
+  logEpisode: async () => assert.fail('movies are not logged')
+};
+
+const failEverything = {
+  resolvePlexItem: async () => { throw new Error('Plex server unreachable'); },
+  resolveEpisode: async () => assert.fail('unreachable'),
+  logEpisode: async () => assert.fail('unreachable')
+};
+
+/**
+ * Run each retry as soon as it is due until the entry has used up its attempts.
+ */
+async function failUntilDropped() {
+  let { queue } = await scrobbler.getScrobbleState();
+  while (queue.length > 0) {
+    now = Math.max(now, queue[0].nextAttemptAt);
+    await scrobbler.processScrobbleQueue(failEverything);
+    ({ queue } = await scrobbler.getScrobbleState());
+  }
+}
+
+describe('Scrobbler', function () {
+  beforeEach(async function () {
+    store = {};
+    now = 1700000000000;
+    Date.now = () => now;
+    globalThis.chrome = {
+      storage: { local: createStorageArea(store) },
+      alarms: { create() {}, clear: async () => true }
+    };
+    scrobbler = await import(`../../src/scrobbler.js?instance=${++instance}`);
+  });
+
+  afterEach(function () {
+    Date.now = originalNow;
+    delete globalThis.chrome;
+  });
+
+  it('records a movie reported over and over as one skipped history entry', async function () {
+    for (let time = 5700000; time <= 6000000; time += TIMELINE_INTERVAL) {
+      await report(timelineUrl('20001', time));
+      await scrobbler.processScrobbleQueue(skipMovie);
+      now += TIMELINE_INTERVAL;
+    }
+
+    const { queue, history } = await scrobbler.getScrobbleState();
+    assert.equal(queue.length, 0);
+    assert.equal(history.length, 1);
+    assert.equal(history[0].status, 'skipped');
+  });
+
+  it('does not queue a logged episode again within the dedupe window', async function () {
+    const logged = {
+      resolvePlexItem: async () => ({ showTmdbId: 1396, seasonTmdbId: 3572, seasonNum: 1, episodeNum: 1 }),
+      resolveEpisode: async (plexEpisode) => ({ ...plexEpisode, tmdbId: 1396 }),
+      logEpisode: async () => ({ success: true, loggedIn: true })
+    };
+
+    assert.equal(await report(timelineUrl('10005', 5500000)), true);
+    assert.equal(await report(timelineUrl('10005', 5510000)), false);
+    await scrobbler.processScrobbleQueue(logged);
+
+    now += 5 * HOUR;
+    assert.equal(await report(timelineUrl('10005', 5500000)), false);
+    now += 1 * HOUR;
+    assert.equal(await report(timelineUrl('10005', 5500000)), true);
+  });
+
+  it('queues a failed item again only after a growing backoff', async function () {
+    await report(timelineUrl('10006', 5500000));
+    await failUntilDropped();
+    assert.equal((await scrobbler.getScrobbleState()).history[0].status, 'failed');
+
+    now += HOUR - 1;
+    assert.equal(await report(timelineUrl('10006', 5500000)), false);
+    now += 1;
+    assert.equal(await report(timelineUrl('10006', 5500000)), true);
+
+    await failUntilDropped();
+    now += HOUR;
+    assert.equal(await report(timelineUrl('10006', 5500000)), false);
+    now += HOUR;
+    assert.equal(await report(timelineUrl('10006', 5500000)), true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Serializd Page Parser
+ *
+ * Each extraction strategy against a fixture page that only it can read:
+ * - next-data: inline __NEXT_DATA__
+ * - next-data-route: /_next/data/<buildId>/<path>.json, built from the asset URLs' build ID
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  SERIALIZD_PARSER_VERSION,
+  parseSerializdShowPage
+} from '../../src/serializd-parser.js';
+
+const FIXTURES_DIR = new URL('../fixtures/serializd/', import.meta.url);
+const BUILD_ID = '4rZq1x8BmWnS2kL0cY7aT';
+
+function readFixture(name) {
+  return readFile(new URL(name, FIXTURES_DIR), 'utf8');
+}
+
+/**
+ * fetchJson stand-in serving one data route response; records the URLs asked for.
+ */
+function dataRoute(path, fixture) {
+  const fetchJson = async (url) => {
+    fetchJson.requests.push(url);
+    return url === `https://www.serializd.com/_next/data/${BUILD_ID}${path}.json`
+      ? JSON.parse(await readFixture(fixture))
+      : null;
+  };
+  fetchJson.requests = [];
+  return fetchJson;
+}
+
+function unusedFetchJson() {
+  throw new Error('data route requested');
+}
+
+describe('Serializd show page', function () {
+  const path = '/show/95396';
+
+  it('reads inline __NEXT_DATA__', async function () {
+    const result = await parseSerializdShowPage(await readFixture('show-next-data.html'), { path, fetchJson: unusedFetchJson });
+
+    assert.equal(result.ok, true);
+    assert.equal(result.strategy, 'next-data');
+    assert.equal(result.parserVersion, SERIALIZD_PARSER_VERSION);
+    assert.equal(result.averageRating, 8.9);
+    assert.deepEqual(result.seasonMap, { 0: 128987, 1: 107288, 2: 379498 });
+    assert.deepEqual(result.details, {
+      name: 'Severance',
+      ratingCount: 2104,
+      seasons: [
+        { seasonNumber: 0, name: 'Specials', averageRating: null },
+        { seasonNumber: 1, name: 'Season 1', averageRating: 9.1 },
+        { seasonNumber: 2, name: 'Season 2', averageRating: 8.7 }
+      ]
+    });
+  });
+
+  it('falls back to the data route when the props are not inlined', async function () {
+    const fetchJson = dataRoute(path, 'show-next-data-route.json');
+    const result = await parseSerializdShowPage(await readFixture('show-next-data-route.html'), { path, fetchJson });
+
+    assert.equal(fetchJson.requests.length, 1);
+    assert.equal(result.strategy, 'next-data-route');
+    assert.equal(result.averageRating, 8.9);
+    assert.deepEqual(result.seasonMap, { 1: 107288, 2: 379498 });
+    assert.equal(result.details.name, 'Severance');
+  });
+
+  it('reports an unrecognised page as parser outdated', async function () {
+    const fetchJson = dataRoute(path, 'show-next-data-route.json');
+    const result = await parseSerializdShowPage(await readFixture('unrecognised.html'), { path, fetchJson });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.parserOutdated, true);
+    assert.deepEqual(result.strategiesTried, ['next-data', 'next-data-route']);
+    assert.equal(fetchJson.requests.length, 0);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Serializd Request Scheduler
+ *
+ * How refusals from serializd.com pause the traffic (fetch is stubbed with queued responses):
+ * - Retry-After in seconds and as an HTTP date
+ * - short pauses are waited out and retried, long ones fail fast with SerializdUnavailableError
+ * - a pause holds back later requests too
+ * - retries stop after three attempts
+ * Each test gets a fresh copy of the module, so pauses don't leak between tests.
+ */
+
+import assert from 'node:assert/strict';
+
+const originalFetch = globalThis.fetch;
+let instance = 0;
+let scheduler;
+let requests;
+
+/**
+ * Serve the given responses in order, one per fetch().
+ * @param {Array<{status:number, retryAfter?:string}>} responses
+ */
+function stubFetch(responses) {
+  const queue = [...responses];
+  globalThis.fetch = async (url) => {
+    requests.push(url);
+    const next = queue.shift();
+    if (!next) throw new Error(`unexpected request to ${url}`);
+    const headers = next.retryAfter !== undefined ? { 'Retry-After': next.retryAfter } : {};
+    return new Response(null, { status: next.status, headers });
+  };
+}
+
+describe('Serializd scheduler', function () {
+  beforeEach(async function () {
+    scheduler = await import(`../../src/serializd-scheduler.js?instance=${++instance}`);
+    requests = [];
+  });
+
+  afterEach(function () {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('returns non-refusal responses as they are', async function () {
+    stubFetch([{ status: 404 }]);
+
+    const response = await scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {});
+
+    assert.equal(response.status, 404);
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries right away after a Retry-After of zero', async function () {
+    stubFetch([{ status: 503, retryAfter: '0' }, { status: 200 }]);
+
+    const response = await scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {});
+
+    assert.equal(response.status, 200);
+    assert.equal(requests.length, 2);
+  });
+
+  it('waits out a short Retry-After before retrying', async function () {
+    this.timeout(5000);
+    stubFetch([{ status: 429, retryAfter: '1' }, { status: 200 }]);
+
+    const startedAt = Date.now();
+    const response = await scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {});
+
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - startedAt >= 950, 'retried before Retry-After elapsed');
+  });
+
+  it('fails fast on a long Retry-After and keeps later requests paused', async function () {
+    stubFetch([{ status: 429, retryAfter: '120' }]);
+
+    const before = Date.now();
+    await assert.rejects(
+      scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {}),
+      (error) => {
+        assert.ok(error instanceof scheduler.SerializdUnavailableError);
+        assert.ok(error.retryAt >= before + 120000 && error.retryAt <= Date.now() + 120000);
+        return true;
+      }
+    );
+
+    await assert.rejects(
+      scheduler.scheduleSerializdFetch('https://www.serializd.com/show/2', {}),
+      scheduler.SerializdUnavailableError
+    );
+    assert.equal(requests.length, 1, 'a paused request reached Serializd');
+  });
+
+  it('reads Retry-After given as an HTTP date', async function () {
+    const retryAt = new Date(Date.now() + 5 * 60000);
+    stubFetch([{ status: 503, retryAfter: retryAt.toUTCString() }]);
+
+    await assert.rejects(
+      scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {}),
+      (error) => {
+        // toUTCString() drops the milliseconds
+        assert.ok(Math.abs(error.retryAt - retryAt.getTime()) < 2000);
+        return true;
+      }
+    );
+  });
+
+  it('gives up after three refused attempts', async function () {
+    stubFetch([
+      { status: 500, retryAfter: '0' },
+      { status: 502, retryAfter: '0' },
+      { status: 503, retryAfter: '0' }
+    ]);
+
+    await assert.rejects(
+      scheduler.scheduleSerializdFetch('https://www.serializd.com/show/1', {}),
+      scheduler.SerializdUnavailableError
+    );
+    assert.equal(requests.length, 3);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Show Cache
+ *
+ * TTL and LRU behaviour against an in-memory chrome.storage.local (Date.now is stubbed to move the clock):
+ * - entries expire after the TTL; Serializd data stays readable as stale for the retention period
+ * - reads bump an entry's LRU position at most hourly
+ * - pruning drops expired entries, then the least recently used ones above the cap
+ * - the released `cached_shows` object is split into per-entry keys
+ * - pruning, stats and clearing read only the keys in the index, never all of storage
+ * Each test gets a fresh copy of the module, so the one-time migration runs against its own storage.
+ */
+
+import assert from 'node:assert/strict';
+import { createStorageArea } from './helpers.mjs';
+
+const DAY = 86400;
+const TTL = 7 * DAY;
+const STALE_RETENTION = 30 * DAY;
+const MAX_SERIALIZD_SHOW_ENTRIES = 2000;
+const ACCESS_TOUCH_INTERVAL = 3600;
+
+const originalNow = Date.now;
+let instance = 0;
+let showCache;
+let store;
+let nowSeconds;
+let fullReads;
+
+function cacheKeys() {
+  return Object.keys(store).filter((key) => key !== 'show_cache_index').sort();
+}
+
+function advance(seconds) {
+  nowSeconds += seconds;
+}
+
+describe('Show cache', function () {
+  beforeEach(async function () {
+    store = {};
+    nowSeconds = 1700000000;
+    Date.now = () => nowSeconds * 1000;
+    fullReads = 0;
+    const local = createStorageArea(store);
+    const get = local.get;
+    local.get = (keys) => {
+      if (keys === null) fullReads++;
+      return get(keys);
+    };
+    globalThis.chrome = { storage: { local } };
+    showCache = await import(`../../src/show-cache.js?instance=${++instance}`);
+  });
+
+  afterEach(function () {
+    Date.now = originalNow;
+    delete globalThis.chrome;
+  });
+
+  describe('TTL', function () {
+    it('serves Serializd data until the TTL, then only as stale', async function () {
+      await showCache.cacheRating(1396, { rating: 9.2 });
+
+      advance(TTL);
+      assert.equal((await showCache.getCachedRating(1396, TTL)).stale, false);
+
+      advance(1);
+      assert.equal(await showCache.getCachedRating(1396, TTL), null);
+      const stale = await showCache.getCachedRating(1396, TTL, { allowStale: true });
+      assert.equal(stale.rating, 9.2);
+      assert.equal(stale.stale, true);
+
+      advance(STALE_RETENTION);
+      assert.equal(await showCache.getCachedRating(1396, TTL, { allowStale: true }), null);
+    });
+
+    it('expires show IDs after the TTL and keys them by server', async function () {
+      await showCache.cacheShowId('server-a', ['10001', '10003'], { tmdbId: 1396 });
+
+      assert.equal((await showCache.getCachedShowId('server-a', ['99999', '10003'], TTL)).tmdbId, 1396);
+      assert.equal(await showCache.getCachedShowId('server-b', ['10003'], TTL), null);
+      assert.equal(await showCache.getCachedShowId(null, ['10003'], TTL), null);
+
+      advance(TTL + 1);
+      assert.equal(await showCache.getCachedShowId('server-a', ['10003'], TTL), null);
+    });
+  });
+
+  describe('LRU', function () {
+    it('bumps the access time on reads at most hourly', async function () {
+      await showCache.cacheRating(1396, { rating: 9.2 });
+      const cachedAt = nowSeconds;
+
+      advance(1800);
+      await showCache.getCachedRating(1396, TTL);
+      assert.equal(store['serializd_show:1396'].accessedAt, cachedAt);
+
+      advance(1801);
+      await showCache.getCachedRating(1396, TTL);
+      assert.equal(store['serializd_show:1396'].accessedAt, nowSeconds);
+    });
+
+    it('prunes expired entries and keeps stale Serializd data within retention', async function () {
+      await showCache.cacheShowId('server-a', ['10001'], { tmdbId: 1396 });
+      await showCache.cacheRating(1396, { rating: 9.2 });
+      await showCache.cacheRating(1399, { rating: 8.4 });
+      advance(TTL + 1);
+      await showCache.cacheRating(1399, { rating: 8.5 });
+
+      assert.equal(await showCache.pruneShowCache(TTL), 1);
+      assert.deepEqual(cacheKeys(), ['serializd_show:1396', 'serializd_show:1399']);
+      assert.deepEqual([...store.show_cache_index].sort(), ['serializd_show:1396', 'serializd_show:1399']);
+
+      advance(STALE_RETENTION);
+      assert.equal(await showCache.pruneShowCache(TTL), 1);
+      assert.deepEqual(cacheKeys(), ['serializd_show:1399']);
+      assert.deepEqual(store.show_cache_index, ['serializd_show:1399']);
+    });
+
+    it('drops the least recently used entries above the cap', async function () {
+      for (let tmdbId = 1; tmdbId <= MAX_SERIALIZD_SHOW_ENTRIES + 2; tmdbId++) {
+        store[`serializd_show:${tmdbId}`] = { tmdbId, rating: 7, timestamp: nowSeconds, accessedAt: nowSeconds + tmdbId };
+      }
+      store['plex_show_id:server-a:10001'] = { tmdbId: 1, timestamp: nowSeconds, accessedAt: nowSeconds };
+      store.unrelated_setting = true;
+
+      // Reading the oldest entry makes it the most recently used one
+      advance(2 * 3600 + MAX_SERIALIZD_SHOW_ENTRIES);
+      await showCache.getCachedRating(1, TTL);
+
+      assert.equal(await showCache.pruneShowCache(TTL), 2);
+      assert.ok('serializd_show:1' in store);
+      assert.ok(!('serializd_show:2' in store));
+      assert.ok(!('serializd_show:3' in store));
+      assert.ok('serializd_show:4' in store);
+      assert.ok('plex_show_id:server-a:10001' in store);
+      assert.equal(store.unrelated_setting, true);
+    });
+  });
+
+  it('splits the released cached_shows object into per-show entries', async function () {
+    store.cached_shows = {
+      'Breaking Bad-2008': { tmdbId: 1396, rating: 9.1, timestamp: nowSeconds - 100 },
+      'Breaking Bad-': { tmdbId: 1396, rating: 9.2, timestamp: nowSeconds - 10 },
+      'Unknown-1999': { rating: 5 }
+    };
+
+    const entry = await showCache.getCachedRating(1396, TTL);
+
+    assert.equal(entry.rating, 9.2);
+    assert.ok(!('cached_shows' in store));
+    assert.deepEqual(cacheKeys(), ['serializd_show:1396']);
+    assert.deepEqual(store.show_cache_index, ['serializd_show:1396']);
+  });
+
+  describe('Index', function () {
+    it('indexes entries written before the index existed with a single full read', async function () {
+      store['serializd_show:1396'] = { tmdbId: 1396, rating: 9.2, timestamp: nowSeconds, accessedAt: nowSeconds };
+      store.unrelated_setting = true;
+
+      await showCache.cacheShowId('server-a', ['10001'], { tmdbId: 1396 });
+      const stats = await showCache.getShowCacheStats();
+      await showCache.pruneShowCache(TTL);
+
+      assert.equal(stats.shows, 1);
+      assert.equal(stats.showIds, 1);
+      assert.equal(fullReads, 1);
+      assert.deepEqual([...store.show_cache_index].sort(), ['plex_show_id:server-a:10001', 'serializd_show:1396']);
+    });
+
+    it('never reads all of storage once the index exists', async function () {
+      store.show_cache_index = [];
+      store.unrelated_setting = true;
+
+      await showCache.cacheRating(1396, { rating: 9.2 });
+      await showCache.pruneShowCache(TTL);
+      await showCache.clearShowCache();
+
+      assert.equal(fullReads, 0);
+      assert.deepEqual(cacheKeys(), ['unrelated_setting']);
+      assert.deepEqual(store.show_cache_index, []);
+    });
+
+    it('drops index keys whose entry is gone and re-adds keys when an entry is touched', async function () {
+      await showCache.cacheRating(1396, { rating: 9.2 });
+      await showCache.cacheRating(1399, { rating: 8.4 });
+      delete store['serializd_show:1399'];
+      store.show_cache_index = ['serializd_show:1399'];
+
+      assert.equal((await showCache.getShowCacheStats()).shows, 0);
+      assert.deepEqual(store.show_cache_index, []);
+
+      advance(ACCESS_TOUCH_INTERVAL + 1);
+      await showCache.getCachedRating(1396, TTL);
+      assert.equal((await showCache.getShowCacheStats()).shows, 1);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Show Matching
+ *
+ * Title/year matching of Serializd search results around FUZZY_MATCH_MIN_SCORE (0.72):
+ * - titles that only differ in punctuation, accents or a leading "The" match outright
+ * - near misses just above the threshold match, those just below don't
+ * - the year picks between remakes and tips borderline titles either way
+ */
+
+import assert from 'node:assert/strict';
+import { FUZZY_MATCH_MIN_SCORE, normalizeShowTitle, pickBestShowCandidate } from '../../src/show-matching.js';
+
+function candidate(id, name, year) {
+  return { id, name, first_air_date: year ? `${year}-01-20` : null };
+}
+
+describe('Show matching', function () {
+  it('normalizes punctuation, accents, a leading "The" and a trailing year', function () {
+    assert.equal(normalizeShowTitle('Shōgun'), 'shogun');
+    assert.equal(normalizeShowTitle('The Bear'), 'bear');
+    assert.equal(normalizeShowTitle('Law & Order: SVU'), 'law and order svu');
+    assert.equal(normalizeShowTitle('Doctor Who (2005)'), 'doctor who');
+  });
+
+  it('matches titles that normalize alike with full score', function () {
+    const match = pickBestShowCandidate([candidate(1399, 'Mr Robot', 2015)], 'Mr. Robot', '2015');
+
+    assert.deepEqual(match, { tmdbId: 1399, score: 1, matchedTitle: 'Mr Robot', matchedYear: 2015 });
+  });
+
+  it('matches near misses just above the threshold', function () {
+    const daredevil = pickBestShowCandidate([candidate(61889, 'Daredevil', 2015)], 'Marvel\'s Daredevil', '2015');
+    const office = pickBestShowCandidate([candidate(2316, 'The Office', 2005)], 'The Office (US)', '2006');
+
+    assert.equal(daredevil?.tmdbId, 61889);
+    assert.ok(daredevil.score >= FUZZY_MATCH_MIN_SCORE && daredevil.score < 0.74);
+    assert.equal(office?.tmdbId, 2316);
+    assert.ok(office.score >= FUZZY_MATCH_MIN_SCORE && office.score < 0.74);
+  });
+
+  it('rejects near misses just below the threshold', function () {
+    assert.equal(pickBestShowCandidate([candidate(70523, 'Twin Peaks: The Return', 2017)], 'Twin Peaks', '2017'), null);
+    assert.equal(pickBestShowCandidate([candidate(202555, 'Daredevil: Born Again', 2025)], 'Daredevil', '2025'), null);
+  });
+
+  it('needs a closer title when the year is unknown', function () {
+    assert.equal(pickBestShowCandidate([candidate(2316, 'The Office', 2005)], 'The Office (US)', null), null);
+    assert.equal(pickBestShowCandidate([candidate(1416, 'Greys Anatomy', 2005)], 'Grey\'s Anatomy', null)?.tmdbId, 1416);
+  });
+
+  it('picks the remake by year', function () {
+    const candidates = [candidate(501, 'Battlestar Galactica', 1978), candidate(1972, 'Battlestar Galactica', 2004)];
+
+    assert.equal(pickBestShowCandidate(candidates, 'Battlestar Galactica', '2004').tmdbId, 1972);
+    assert.equal(pickBestShowCandidate(candidates, 'Battlestar Galactica', '1978').tmdbId, 501);
+  });
+
+  it('skips results without an ID or a title', function () {
+    const candidates = [{ name: 'Severance' }, { id: 95396 }, { showId: '95396', title: 'Severance', year: 2022 }];
+
+    assert.equal(pickBestShowCandidate(candidates, 'Severance', '2022').tmdbId, 95396);
+    assert.equal(pickBestShowCandidate([], 'Severance', '2022'), null);
+  });
+});